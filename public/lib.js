@@ -20,6 +20,8 @@
     
     const RLE_MAX_CELLS = 10_000_000;
     const RLE_MAX_RUN_LENGTH = 100_000;
+    const GENERATIONS_MAX_STATES = 256; // Cell states must fit in a Uint8
+    const TOPOLOGY_MAX_SIZE = 1_000_000; // Largest bounded grid width/height
 
     // =============================================================================
     // COLOR UTILITIES
@@ -52,19 +54,36 @@
      * - '$': end of row
      * - '!': end of pattern
      * - digits: run count (applies to next cell/row token)
-     * - Lines starting with '#' or 'x =' are metadata/headers
+     * - Lines starting with '#' are comments
+     * - The "x = 3, y = 3, rule = B3/S23" header gives the declared size and rule;
+     *   width/height/rule are null when the header (or its rule) is missing
+     * - Golly's "#CXRLE Pos=x,y Gen=n" line gives the top-left corner and the
+     *   generation; position/generation are null without it
+     * - "#N", "#O" and "#C" lines are returned as metadata (see parsePatternMetadata)
      * 
      * @param {string} str - RLE string
-     * @returns {{ok: true, coords: [number, number][]} | {ok: false, error: string}}
+     * @returns {{ok: true, coords: [number, number][], width: number|null, height: number|null, rule: string|null,
+     *            position: {x: number, y: number}|null, generation: number|null, metadata: Object}
+     *          | {ok: false, error: string}}
      */
     function parseRLE(str) {
         const lines = str.split('\n');
         let data = '';
+        let header = null;
+        let extended = null;
         
         // Strip headers/comments
         for (let line of lines) {
             line = line.trim();
-            if (line.startsWith('#') || line.startsWith('x =') || line.startsWith('x=')) continue;
+            if (line.startsWith('#CXRLE')) {
+                if (!extended) extended = parseCXRLE(line);
+                continue;
+            }
+            if (line.startsWith('#')) continue;
+            if (line.startsWith('x =') || line.startsWith('x=')) {
+                if (!header) header = parseRLEHeader(line);
+                continue;
+            }
             data += line;
         }
 
@@ -104,7 +123,104 @@
             }
             // Ignore whitespace and unknown characters
         }
-        return { ok: true, coords };
+        return {
+            ok: true,
+            coords,
+            width: header ? header.width : null,
+            height: header ? header.height : null,
+            rule: header ? header.rule : null,
+            position: extended ? extended.position : null,
+            generation: extended ? extended.generation : null,
+            metadata: parsePatternMetadata(str)
+        };
+    }
+
+    /**
+     * Read the "#N name", "#O author" and "#C"/"#c" comment lines of an RLE
+     * or Macrocell file. Blank comment lines are kept, so paragraphs survive.
+     * 
+     * @param {string} str - Pattern text
+     * @returns {{name: string, author: string, comments: string[]}}
+     */
+    function parsePatternMetadata(str) {
+        const metadata = { name: '', author: '', comments: [] };
+        for (const line of str.split('\n')) {
+            const match = line.trim().match(/^#([NOCc])(?:\s+(.*))?$/);
+            if (!match) continue;
+            const text = (match[2] || '').trim();
+            if (match[1] === 'N') {
+                if (!metadata.name) metadata.name = text;
+            } else if (match[1] === 'O') {
+                if (!metadata.author) metadata.author = text;
+            } else {
+                metadata.comments.push(text);
+            }
+        }
+        return metadata;
+    }
+
+    /**
+     * Write metadata as "#N", "#O" and "#C" lines, skipping empty fields.
+     * 
+     * @param {{name: string, author: string, comments: string[]}} metadata
+     * @returns {string[]} Lines, without newlines
+     */
+    function formatPatternMetadata(metadata) {
+        const lines = [];
+        if (metadata.name) lines.push(`#N ${metadata.name}`);
+        if (metadata.author) lines.push(`#O ${metadata.author}`);
+        for (const comment of metadata.comments) {
+            lines.push(comment ? `#C ${comment}` : '#C');
+        }
+        return lines;
+    }
+
+    /**
+     * Parse Golly's extended RLE line, e.g. "#CXRLE Pos=-12,-5 Gen=340".
+     * Either field may be missing.
+     * 
+     * @param {string} line - Line starting with "#CXRLE"
+     * @returns {{position: {x: number, y: number}|null, generation: number|null}}
+     */
+    function parseCXRLE(line) {
+        const pos = line.match(/\bPos\s*=\s*(-?\d+)\s*,\s*(-?\d+)/i);
+        const gen = line.match(/\bGen\s*=\s*(\d+)/i);
+        return {
+            position: pos ? { x: parseInt(pos[1]), y: parseInt(pos[2]) } : null,
+            generation: gen ? Number(gen[1]) : null
+        };
+    }
+
+    /**
+     * Format Golly's extended RLE line for a pattern whose bounding box
+     * starts at (x, y); the generation is written only when nonzero.
+     * 
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} [generation]
+     * @returns {string} "#CXRLE Pos=x,y[ Gen=n]"
+     */
+    function formatCXRLE(x, y, generation = 0) {
+        return `#CXRLE Pos=${x},${y}` + (generation > 0 ? ` Gen=${generation}` : '');
+    }
+
+    /**
+     * Parse an RLE header line such as "x = 36, y = 9, rule = B3/S23".
+     * The rule runs to the end of the line, since bounded grid rules
+     * contain commas ("B3/S23:T100,80").
+     * 
+     * @param {string} line - Header line (starting with 'x')
+     * @returns {{width: number, height: number, rule: string|null} | null}
+     */
+    function parseRLEHeader(line) {
+        const match = line.match(/^x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)(?:\s*,\s*rule\s*=\s*(.*))?$/i);
+        if (!match) return null;
+        const rule = match[3] ? match[3].trim() : '';
+        return {
+            width: parseInt(match[1]),
+            height: parseInt(match[2]),
+            rule: rule || null
+        };
     }
 
     /**
@@ -219,42 +335,567 @@
         return rle;
     }
 
+    // =============================================================================
+    // PLAINTEXT, LIFE 1.05 AND LIFE 1.06
+    // =============================================================================
+
+    // Bounding box of a non-empty coordinate list
+    function coordsBounds(coords) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of coords) {
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+        return { minX, minY, maxX, maxY };
+    }
+
+    // Rows of a rectangle as strings of `live`/`dead` characters, with
+    // trailing dead cells trimmed (empty rows become '')
+    function coordsToRows(coords, minX, minY, width, height, live, dead) {
+        const grid = new Array(height).fill(null).map(() => new Array(width).fill(dead));
+        for (const [x, y] of coords) {
+            grid[y - minY][x - minX] = live;
+        }
+        return grid.map(row => {
+            let end = row.length;
+            while (end > 0 && row[end - 1] === dead) end--;
+            return row.slice(0, end).join('');
+        });
+    }
+
+    /**
+     * Parse a plaintext (.cells) pattern: one row per line, '.' dead,
+     * 'O' or '*' alive, lines starting with '!' are comments.
+     * 
+     * @param {string} str - Plaintext pattern
+     * @returns {{ok: true, coords: [number, number][]} | {ok: false, error: string}}
+     */
+    function parsePlaintext(str) {
+        const coords = [];
+        let y = 0;
+        for (let line of str.split('\n')) {
+            line = line.trimEnd();
+            if (line.startsWith('!')) continue;
+            for (let x = 0; x < line.length; x++) {
+                const char = line[x];
+                if (char === 'O' || char === 'o' || char === '*') {
+                    if (coords.length >= RLE_MAX_CELLS) {
+                        return { ok: false, error: `Pattern exceeds maximum cell count (${RLE_MAX_CELLS})` };
+                    }
+                    coords.push([x, y]);
+                } else if (char !== '.') {
+                    return { ok: false, error: `Unexpected '${char}' in plaintext row ${y + 1}` };
+                }
+            }
+            y++;
+        }
+        return { ok: true, coords };
+    }
+
+    /**
+     * Write a plaintext (.cells) pattern, 'O' alive and '.' dead.
+     * 
+     * @param {[number, number][]} coords - Live cells
+     * @param {string[]} [comments] - Lines written as "!" comments first
+     * @returns {string} Plaintext pattern
+     */
+    function coordsToPlaintext(coords, comments = []) {
+        const lines = comments.map(line => `!${line}`);
+        if (coords.length > 0) {
+            const { minX, minY, maxX, maxY } = coordsBounds(coords);
+            const rows = coordsToRows(coords, minX, minY, maxX - minX + 1, maxY - minY + 1, 'O', '.');
+            lines.push(...rows.map(row => row || '.'));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse a Life 1.05 pattern: "#P x y" blocks of '.'/'*' rows, each
+     * placed with its top-left corner at (x, y). "#N" selects Conway's Life
+     * and "#R s/b" another rule; other '#' lines are comments.
+     * Coordinates are kept as written (they may be negative).
+     * 
+     * @param {string} str - Life 1.05 pattern
+     * @returns {{ok: true, coords: [number, number][], rule: string|null} | {ok: false, error: string}}
+     */
+    function parseLife105(str) {
+        const coords = [];
+        let rule = null;
+        let blockX = 0, y = 0;
+        for (let line of str.split('\n')) {
+            line = line.trim();
+            if (line.startsWith('#')) {
+                const tag = line.slice(0, 2).toUpperCase();
+                if (tag === '#P') {
+                    const match = line.match(/^#P\s+(-?\d+)\s+(-?\d+)$/i);
+                    if (!match) return { ok: false, error: `Invalid Life 1.05 block "${line}"` };
+                    blockX = parseInt(match[1]);
+                    y = parseInt(match[2]);
+                } else if (tag === '#N') {
+                    rule = 'B3/S23';
+                } else if (tag === '#R') {
+                    rule = line.slice(2).trim();
+                }
+                continue;
+            }
+            for (let x = 0; x < line.length; x++) {
+                const char = line[x];
+                if (char === '*' || char === 'O' || char === 'o') {
+                    if (coords.length >= RLE_MAX_CELLS) {
+                        return { ok: false, error: `Pattern exceeds maximum cell count (${RLE_MAX_CELLS})` };
+                    }
+                    coords.push([blockX + x, y]);
+                } else if (char !== '.') {
+                    return { ok: false, error: `Unexpected '${char}' in Life 1.05 row "${line}"` };
+                }
+            }
+            y++;
+        }
+        return { ok: true, coords, rule };
+    }
+
+    /**
+     * Read the free-form comments of a plaintext ("!" lines) or Life 1.05
+     * ("#D" lines) pattern as metadata. "Name: ..." and "Author: ..."
+     * comments, as written by the exporters, fill the name and author.
+     * 
+     * @param {string} str - Plaintext or Life 1.05 pattern
+     * @returns {{name: string, author: string, comments: string[]}}
+     */
+    function parseCellListMetadata(str) {
+        const metadata = { name: '', author: '', comments: [] };
+        for (const line of str.split('\n')) {
+            const match = line.trim().match(/^(?:!|#D(?:\s|$))(.*)$/);
+            if (!match) continue;
+            const text = match[1].trim();
+            const field = text.match(/^(Name|Author):\s*(.*)$/i);
+            if (field && field[1].toLowerCase() === 'name' && !metadata.name) {
+                metadata.name = field[2];
+            } else if (field && field[1].toLowerCase() === 'author' && !metadata.author) {
+                metadata.author = field[2];
+            } else {
+                metadata.comments.push(text);
+            }
+        }
+        return metadata;
+    }
+
+    const LIFE105_MAX_LINE = 80;
+
+    /**
+     * Write a Life 1.05 pattern at its absolute position, split into
+     * "#P" blocks no wider than 80 cells. The rule is written as "#N" for
+     * Conway's Life or "#R s/b" for other totalistic two-state rules, and
+     * omitted for rules the format can't express.
+     * 
+     * @param {[number, number][]} coords - Live cells
+     * @param {string|null} [rule] - Rule string
+     * @param {string[]} [comments] - Lines written as "#D" descriptions
+     * @returns {string} Life 1.05 pattern
+     */
+    function coordsToLife105(coords, rule = null, comments = []) {
+        const lines = ['#Life 1.05', ...comments.map(line => line ? `#D ${line}` : '#D')];
+        const parsed = rule && parseRule(rule);
+        if (parsed && parsed.states === 2 && !parsed.isotropic && !parsed.topology) {
+            const digits = flags => flags.map((on, n) => on ? n : '').join('');
+            const survival = digits(parsed.survival), birth = digits(parsed.birth);
+            lines.push(birth === '3' && survival === '23' ? '#N' : `#R ${survival}/${birth}`);
+        }
+        
+        // Bands of columns, each written as one block trimmed to its own rows
+        const bands = new Map();
+        for (const cell of coords) {
+            const band = Math.floor(cell[0] / LIFE105_MAX_LINE);
+            if (!bands.has(band)) bands.set(band, []);
+            bands.get(band).push(cell);
+        }
+        for (const band of [...bands.keys()].sort((a, b) => a - b)) {
+            const cells = bands.get(band);
+            const { minX, minY, maxX, maxY } = coordsBounds(cells);
+            lines.push(`#P ${minX} ${minY}`);
+            const rows = coordsToRows(cells, minX, minY, maxX - minX + 1, maxY - minY + 1, '*', '.');
+            lines.push(...rows.map(row => row || '.'));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse a Life 1.06 pattern: a "#Life 1.06" header followed by one
+     * "x y" pair per live cell. Coordinates may be negative; unless
+     * `keepPosition` is set, the result is shifted so the bounding box
+     * starts at (0, 0).
+     * 
+     * @param {string} str - Life 1.06 pattern
+     * @param {boolean} [keepPosition] - Keep the coordinates as written
+     * @returns {{ok: true, coords: [number, number][]} | {ok: false, error: string}}
+     */
+    function parseLife106(str, keepPosition = false) {
+        const coords = [];
+        let minX = Infinity, minY = Infinity;
+        for (let line of str.split('\n')) {
+            line = line.trim();
+            if (line === '' || line.startsWith('#')) continue;
+            const match = line.match(/^(-?\d+)\s+(-?\d+)$/);
+            if (!match) return { ok: false, error: `Invalid Life 1.06 line "${line}"` };
+            if (coords.length >= RLE_MAX_CELLS) {
+                return { ok: false, error: `Pattern exceeds maximum cell count (${RLE_MAX_CELLS})` };
+            }
+            const x = parseInt(match[1]);
+            const y = parseInt(match[2]);
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+            coords.push([x, y]);
+        }
+        if (keepPosition) return { ok: true, coords };
+        return { ok: true, coords: coords.map(([x, y]) => [x - minX, y - minY]) };
+    }
+
+    /**
+     * Write a Life 1.06 pattern: one absolute "x y" line per live cell.
+     * 
+     * @param {[number, number][]} coords - Live cells
+     * @returns {string} Life 1.06 pattern
+     */
+    function coordsToLife106(coords) {
+        const lines = ['#Life 1.06'];
+        for (const [x, y] of coords) {
+            lines.push(`${x} ${y}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Identify the format of pattern text from its header, falling back to
+     * the shape of its lines: Life 1.05 and 1.06 by their "#Life" headers
+     * (or "#P" blocks of '.'/'*' rows and bare coordinate pairs), plaintext
+     * by rows of '.'/'O' under optional "!" comments, and RLE otherwise.
+     * 
+     * @param {string} str - Pattern text
+     * @returns {'apgcode'|'life105'|'life106'|'plaintext'|'rle'}
+     */
+    function detectPatternFormat(str) {
+        const text = str.replace(/\r/g, '').trim();
+        if (isApgcode(text)) return 'apgcode';
+        if (/^#Life 1\.05/i.test(text)) return 'life105';
+        if (/^#Life 1\.06/i.test(text)) return 'life106';
+        
+        const body = text.split('\n').filter(line => line.trim() !== '' && !/^[#!]/.test(line));
+        // Headerless Life 1.05 is "#P" blocks of '.'/'*' rows; RLE may carry an XLife "#P x y" line too
+        if (/^#P\s/im.test(text) && body.every(line => /^[.*]+\s*$/.test(line))) return 'life105';
+        if (body.length > 0 && body.every(line => /^\s*-?\d+\s+-?\d+\s*$/.test(line))) return 'life106';
+        if (!text.startsWith('#') && body.every(line => /^[.Oo*]*\s*$/.test(line))) return 'plaintext';
+        return 'rle';
+    }
+
+    /**
+     * Parse pattern text of unknown format (see detectPatternFormat).
+     * Life 1.05 and 1.06 patterns keep their absolute coordinates only if
+     * `keepPosition` is set; otherwise every format starts at (0, 0).
+     * 
+     * @param {string} str - Pattern text
+     * @param {boolean} [keepPosition] - Keep Life 1.05/1.06 coordinates as written
+     * @returns {{ok: true, format: 'apgcode'|'life105'|'life106'|'plaintext'|'rle', coords: [number, number][], rule: string|null,
+     *           metadata: {name: string, author: string, comments: string[]}}
+     *          | {ok: false, error: string}}
+     */
+    function parsePatternText(str, keepPosition = false) {
+        const text = str.replace(/\r/g, '').trim();
+        const format = detectPatternFormat(text);
+        if (format === 'apgcode') {
+            const coords = apgcodeToCoords(text);
+            if (!coords) return { ok: false, error: 'Invalid apgcode' };
+            return { ok: true, format, coords, rule: null, metadata: { name: '', author: '', comments: [] } };
+        }
+        
+        let result;
+        if (format === 'life105') {
+            result = parseLife105(text);
+            if (result.ok && !keepPosition && result.coords.length > 0) {
+                const { minX, minY } = coordsBounds(result.coords);
+                result.coords = result.coords.map(([x, y]) => [x - minX, y - minY]);
+            }
+        } else if (format === 'life106') {
+            result = parseLife106(text, keepPosition);
+        } else if (format === 'plaintext') {
+            result = parsePlaintext(text);
+        } else {
+            result = parseRLE(text);
+        }
+        if (!result.ok) return result;
+        let metadata = result.metadata || { name: '', author: '', comments: [] };
+        if (format === 'life105' || format === 'plaintext') metadata = parseCellListMetadata(text);
+        return { ok: true, format, coords: result.coords, rule: result.rule || null, metadata };
+    }
+
+    // =============================================================================
+    // ISOTROPIC NON-TOTALISTIC (HENSEL) NOTATION
+    // =============================================================================
+
+    /*
+     * Neighborhood index: 9 bits, center included, row-major:
+     *   0 1 2      NW N  NE
+     *   3 4 5  =   W  C  E
+     *   6 7 8      SW S  SE
+     *
+     * Each Hensel letter names one configuration of n neighbors up to rotation
+     * and reflection. Letters for 5-7 neighbors name the complement of the
+     * 8-n configuration with the same letter.
+     */
+
+    // Valid letters per neighbor count, in canonical order
+    const HENSEL_LETTERS = ['', 'ce', 'cekain', 'cekainyqjr', 'cekainyqjrtwz', 'cekainyqjr', 'cekain', 'ce', ''];
+
+    // One representative neighborhood per letter for 1-4 neighbors (as in Golly)
+    const HENSEL_NEIGHBORHOODS = {
+        1: { c: 1, e: 2 },
+        2: { c: 5, e: 10, k: 33, a: 3, i: 40, n: 68 },
+        3: { c: 69, e: 42, k: 98, a: 11, i: 7, n: 13, y: 97, q: 70, j: 14, r: 41 },
+        4: { c: 325, e: 170, k: 99, a: 15, i: 45, n: 71, y: 101, q: 102, j: 106, r: 43, t: 105, w: 78, z: 108 },
+    };
+
+    const NEIGHBOR_BITS = 0x1EF; // All bits except the center (bit 4)
+    const ROTATE_90 = [2, 5, 8, 1, 4, 7, 0, 3, 6]; // New bit position for each old bit
+    const MIRROR_X = [2, 1, 0, 5, 4, 3, 8, 7, 6];
+
+    function permuteNeighborhood(mask, perm) {
+        let out = 0;
+        for (let b = 0; b < 9; b++) {
+            if ((mask >>> b) & 1) out |= 1 << perm[b];
+        }
+        return out;
+    }
+
+    let henselIndex = null;
+
+    /**
+     * Hensel letter of every neighborhood (center bit ignored), built on first use.
+     * Neighborhoods with 0 or 8 neighbors map to ''.
+     * 
+     * @returns {string[]} 512 entries
+     */
+    function getHenselIndex() {
+        if (henselIndex) return henselIndex;
+        henselIndex = new Array(512).fill('');
+        for (let n = 1; n <= 7; n++) {
+            const reps = HENSEL_NEIGHBORHOODS[n <= 4 ? n : 8 - n];
+            for (const letter of HENSEL_LETTERS[n]) {
+                let mask = n <= 4 ? reps[letter] : ~reps[letter] & NEIGHBOR_BITS;
+                for (let r = 0; r < 4; r++) {
+                    const mirrored = permuteNeighborhood(mask, MIRROR_X);
+                    henselIndex[mask] = henselIndex[mask | 16] = letter;
+                    henselIndex[mirrored] = henselIndex[mirrored | 16] = letter;
+                    mask = permuteNeighborhood(mask, ROTATE_90);
+                }
+            }
+        }
+        return henselIndex;
+    }
+
+    /**
+     * Parse one side of a Hensel rule ("2-i34q") into per-count flags and letters.
+     * 
+     * @param {string} spec - Lowercase digits with optional letters / negation
+     * @returns {{flags: boolean[], letters: string[]} | null}
+     */
+    function parseHenselSide(spec) {
+        const flags = new Array(9).fill(false);
+        const letters = new Array(9).fill('');
+        let i = 0;
+        
+        while (i < spec.length) {
+            const n = spec.charCodeAt(i) - 48;
+            if (n < 0 || n > 9) return null;
+            i++;
+            
+            const negate = spec[i] === '-';
+            if (negate) i++;
+            let given = '';
+            while (i < spec.length && spec[i] >= 'a' && spec[i] <= 'z') given += spec[i++];
+            
+            if (n === 9) { // Out of range, ignored as in plain B/S rules
+                if (given || negate) return null;
+                continue;
+            }
+            
+            const valid = HENSEL_LETTERS[n];
+            if (negate && !given) return null;
+            for (const ch of given) {
+                if (!valid.includes(ch)) return null;
+            }
+            
+            // Digits may repeat ("2a2e"); letters accumulate
+            const chosen = !given ? valid
+                : [...valid].filter(ch => negate !== given.includes(ch)).join('');
+            const merged = [...valid].filter(ch => chosen.includes(ch) || letters[n].includes(ch)).join('');
+            letters[n] = merged;
+            flags[n] = flags[n] || valid === '' || chosen.length > 0;
+        }
+        return { flags, letters };
+    }
+
+    // Format one side of a rule, using letters only where a count is partial
+    function formatHenselSide(flags, letters) {
+        let out = '';
+        for (let n = 0; n <= 8; n++) {
+            if (!flags[n]) continue;
+            const valid = HENSEL_LETTERS[n];
+            const chosen = letters[n];
+            if (chosen.length === valid.length) {
+                out += n;
+            } else {
+                const missing = [...valid].filter(ch => !chosen.includes(ch)).join('');
+                out += missing.length < chosen.length ? `${n}-${missing}` : `${n}${chosen}`;
+            }
+        }
+        return out;
+    }
+
     // =============================================================================
     // RULE PARSING
     // =============================================================================
 
     /**
-     * Parse Life-like rule string (B.../S... format).
+     * Parse a Golly bounded grid suffix (the part after ':').
+     * 
+     * - "T100,80" - torus: opposite edges are joined
+     * - "P64,64" - finite plane: cells outside are always dead
+     * - "K100*,80" - Klein bottle: '*' marks the twisted dimension; here the
+     *   top and bottom edges (of length 100) are joined with a half-twist.
+     *   "K100,80*" twists the left and right edges instead. Without '*' the
+     *   top and bottom edges are twisted.
+     * - A single size ("T100") means a square grid.
+     * 
+     * @param {string} spec - Topology spec without the leading ':'
+     * @returns {{type: 'T'|'P'|'K', width: number, height: number, twist: 'x'|'y'|null} | null}
+     */
+    function parseTopology(spec) {
+        const match = spec.trim().toUpperCase().match(/^([TPK])(\d+)(\*)?(?:,(\d+)(\*)?)?$/);
+        if (!match) return null;
+        
+        const type = match[1];
+        const width = parseInt(match[2]);
+        const height = match[4] !== undefined ? parseInt(match[4]) : width;
+        if (width < 1 || height < 1 || width > TOPOLOGY_MAX_SIZE || height > TOPOLOGY_MAX_SIZE) return null;
+        
+        const twistX = !!match[3], twistY = !!match[5];
+        if (type !== 'K' && (twistX || twistY)) return null;
+        if (twistX && twistY) return null;
+        
+        let twist = null;
+        if (type === 'K') twist = twistY ? 'y' : 'x';
+        return { type, width, height, twist };
+    }
+
+    /**
+     * Format a topology back to its suffix (without ':').
+     * 
+     * @param {{type: string, width: number, height: number, twist: string|null}} topology
+     * @returns {string}
+     */
+    function formatTopology(topology) {
+        const { type, width, height, twist } = topology;
+        return `${type}${width}${twist === 'x' ? '*' : ''},${height}${twist === 'y' ? '*' : ''}`;
+    }
+
+    /**
+     * Parse Life-like, isotropic non-totalistic or Generations rule string.
      * 
      * Examples:
      * - "B3/S23" - Conway's Game of Life
      * - "B36/S23" - HighLife
      * - "B2/S" - Seeds
      * - "B3/S012345678" - Life without Death
+     * - "B2-a/S12" - isotropic non-totalistic (Hensel letters, "-" negates)
+     * - "B3/S2-i34q" - tlife
+     * - "B2/S/C3" - Brian's Brain (Generations, 3 states)
+     * - "345/2/4" - Star Wars (Generations in S/B/C order)
+     * - "B3/S23:T100,80" - any of the above on a bounded grid (see parseTopology)
+     * 
+     * Generations rules add dying states: a live cell that does not survive
+     * moves through states 2..C-1 before becoming dead, and only dead cells
+     * can be born. Life-like rules are the C = 2 case.
+     * 
+     * birth/survival are true for a count if any configuration with that many
+     * neighbors qualifies; birthLetters/survivalLetters list which Hensel
+     * letters do. `isotropic` is true when some count is only partially set.
+     * `topology` is null for the infinite plane.
      * 
-     * @param {string} ruleStr - Rule string in B/S format
-     * @returns {{birth: boolean[], survival: boolean[]} | null} Parsed rule or null if invalid
+     * @param {string} ruleStr - Rule string in B/S, B/S/C or S/B/C format, optional ":topology"
+     * @returns {{birth: boolean[], survival: boolean[], states: number,
+     *            birthLetters: string[], survivalLetters: string[], isotropic: boolean,
+     *            topology: Object|null} | null}
+     *          Parsed rule or null if invalid
      */
     function parseRule(ruleStr) {
-        const birth = [false, false, false, false, false, false, false, false, false];
-        const survival = [false, false, false, false, false, false, false, false, false];
+        const [rulePart, topologyPart, extra] = ruleStr.split(':');
+        if (extra !== undefined) return null;
         
-        const match = ruleStr.toUpperCase().match(/B(\d*)\/S(\d*)/);
-        if (!match) return null;
+        let topology = null;
+        if (topologyPart !== undefined) {
+            topology = parseTopology(topologyPart);
+            if (!topology) return null;
+        }
         
-        const birthDigits = match[1] || '';
-        const survivalDigits = match[2] || '';
+        const str = rulePart.trim().toUpperCase();
+        let birthSpec, survivalSpec, statesDigits;
         
-        for (const d of birthDigits) {
-            const n = parseInt(d);
-            if (n >= 0 && n <= 8) birth[n] = true;
+        let match = str.match(/^B([\dA-Z-]*)\/S([\dA-Z-]*)(?:\/C?(\d+))?$/);
+        if (match) {
+            [, birthSpec, survivalSpec, statesDigits] = match;
+        } else {
+            // Golly's legacy S/B[/C] order, e.g. "23/3" or "345/2/4"
+            match = str.match(/^(\d*)\/(\d*)(?:\/(\d+))?$/);
+            if (!match) return null;
+            [, survivalSpec, birthSpec, statesDigits] = match;
         }
-        for (const d of survivalDigits) {
-            const n = parseInt(d);
-            if (n >= 0 && n <= 8) survival[n] = true;
+        
+        const states = statesDigits ? parseInt(statesDigits) : 2;
+        if (states < 2 || states > GENERATIONS_MAX_STATES) return null;
+        
+        const birthSide = parseHenselSide(birthSpec.toLowerCase());
+        const survivalSide = parseHenselSide(survivalSpec.toLowerCase());
+        if (!birthSide || !survivalSide) return null;
+        
+        let isotropic = false;
+        for (let n = 0; n <= 8; n++) {
+            const full = HENSEL_LETTERS[n].length;
+            if (birthSide.flags[n] && birthSide.letters[n].length < full) isotropic = true;
+            if (survivalSide.flags[n] && survivalSide.letters[n].length < full) isotropic = true;
         }
         
-        return { birth, survival };
+        return {
+            birth: birthSide.flags,
+            survival: survivalSide.flags,
+            states,
+            birthLetters: birthSide.letters,
+            survivalLetters: survivalSide.letters,
+            isotropic,
+            topology
+        };
+    }
+
+    /**
+     * Build a lookup table from 3x3 neighborhood index to next state (0 or 1).
+     * Works for totalistic and non-totalistic rules alike.
+     * 
+     * @param {Object} parsed - Result of parseRule
+     * @returns {Uint8Array} 512 entries, indexed as described above
+     */
+    function buildRuleTable(parsed) {
+        const index = getHenselIndex();
+        const table = new Uint8Array(512);
+        for (let m = 0; m < 512; m++) {
+            const count = popcount32(m & NEIGHBOR_BITS);
+            const alive = (m >>> 4) & 1;
+            const flags = alive ? parsed.survival : parsed.birth;
+            const letters = alive ? parsed.survivalLetters : parsed.birthLetters;
+            if (flags[count] && (HENSEL_LETTERS[count] === '' || letters[count].includes(index[m]))) {
+                table[m] = 1;
+            }
+        }
+        return table;
     }
 
     /**
@@ -268,7 +909,8 @@
     }
 
     /**
-     * Normalize a rule string to canonical format (e.g., "b3/s23" -> "B3/S23").
+     * Normalize a rule string to canonical format (e.g., "b3/s23" -> "B3/S23",
+     * "345/2/4" -> "B2/S345/C4", "b3/s2ekacn3" -> "B3/S2-i3", "b3/s23:t64" -> "B3/S23:T64,64").
      * 
      * @param {string} ruleStr - Rule string
      * @returns {string | null} Normalized rule string or null if invalid
@@ -277,12 +919,520 @@
         const parsed = parseRule(ruleStr);
         if (!parsed) return null;
         
-        let b = '', s = '';
-        for (let i = 0; i <= 8; i++) {
-            if (parsed.birth[i]) b += i;
-            if (parsed.survival[i]) s += i;
+        const b = formatHenselSide(parsed.birth, parsed.birthLetters);
+        const s = formatHenselSide(parsed.survival, parsed.survivalLetters);
+        const rule = parsed.states > 2 ? `B${b}/S${s}/C${parsed.states}` : `B${b}/S${s}`;
+        return parsed.topology ? `${rule}:${formatTopology(parsed.topology)}` : rule;
+    }
+
+    // =============================================================================
+    // PATTERN ANALYSIS
+    // =============================================================================
+
+    function gcd(a, b) {
+        while (b) [a, b] = [b, a % b];
+        return a;
+    }
+
+    /**
+     * Describe a periodic pattern the way LifeWiki does.
+     * 
+     * Examples: (1, 0, 0) -> "still life", (15, 0, 0) -> "oscillator, period 15",
+     * (4, 1, 1) -> "c/4 diagonal, period 4", (4, 2, 0) -> "c/2 orthogonal, period 4",
+     * (6, 2, 1) -> "(2,1)c/6 oblique, period 6".
+     * 
+     * @param {number} period - Generations until the pattern repeats
+     * @param {number} dx - Horizontal displacement per period
+     * @param {number} dy - Vertical displacement per period
+     * @returns {string}
+     */
+    function describePeriod(period, dx, dy) {
+        const ax = Math.abs(dx), ay = Math.abs(dy);
+        if (ax === 0 && ay === 0) {
+            return period === 1 ? 'still life' : `oscillator, period ${period}`;
+        }
+        
+        const major = Math.max(ax, ay), minor = Math.min(ax, ay);
+        if (minor !== 0 && minor !== major) {
+            return `(${major},${minor})c/${period} oblique, period ${period}`;
+        }
+        
+        const div = gcd(major, period);
+        const num = major / div, den = period / div;
+        const speed = (num === 1 ? 'c' : `${num}c`) + (den === 1 ? '' : `/${den}`);
+        return `${speed} ${minor === 0 ? 'orthogonal' : 'diagonal'}, period ${period}`;
+    }
+
+    /**
+     * Seeded PRNG (string hash into mulberry32), so soups can be reproduced
+     * from their seed.
+     * 
+     * @param {string} seed
+     * @returns {() => number} Generator of floats in [0, 1)
+     */
+    function createRng(seed) {
+        let h = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        let state = h >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // The 8 symmetries of the square, as [x, y] -> [x', y']
+    const SQUARE_SYMMETRIES = [
+        ([x, y]) => [x, y], ([x, y]) => [-y, x], ([x, y]) => [-x, -y], ([x, y]) => [y, -x],
+        ([x, y]) => [-x, y], ([x, y]) => [y, x], ([x, y]) => [x, -y], ([x, y]) => [-y, -x]
+    ];
+
+    // =============================================================================
+    // APGCODES (EXTENDED WECHSLER FORMAT)
+    // =============================================================================
+
+    // An apgcode is a prefix (xs<cells> still life, xp<period> oscillator,
+    // xq<period> spaceship) and the extended Wechsler encoding of the pattern:
+    // rows are cut into strips of 5, each column of a strip is one digit
+    // 0-9a-v (top row = bit 0), strips are joined by 'z', and runs of empty
+    // columns shrink to 'w' (2), 'x' (3) or 'y' + digit (4-39).
+
+    const WECHSLER_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+    const APGCODE_PATTERN = /^(x[spq]\d+)_([0-9a-z]*)$/;
+
+    // Encode cells already anchored at (0, 0)
+    function wechslerEncode(coords) {
+        let maxX = 0, maxY = 0;
+        for (const [x, y] of coords) {
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+        }
+        
+        const strips = [];
+        for (let i = 0; i <= Math.floor(maxY / 5); i++) strips.push(new Array(maxX + 1).fill(0));
+        for (const [x, y] of coords) strips[Math.floor(y / 5)][x] |= 1 << (y % 5);
+        
+        return strips.map(cols => {
+            let end = cols.length;
+            while (end > 0 && cols[end - 1] === 0) end--;
+            
+            let out = '';
+            for (let x = 0; x < end;) {
+                if (cols[x] !== 0) {
+                    out += WECHSLER_DIGITS[cols[x++]];
+                    continue;
+                }
+                let run = 0;
+                while (cols[x + run] === 0) run++;
+                x += run;
+                while (run > 0) {
+                    if (run >= 4) {
+                        const n = Math.min(run, 39);
+                        out += 'y' + WECHSLER_DIGITS[n - 4];
+                        run -= n;
+                    } else {
+                        out += ['', '0', 'w', 'x'][run];
+                        run = 0;
+                    }
+                }
+            }
+            return out;
+        }).join('z');
+    }
+
+    /**
+     * Encode a pattern as an apgcode. The canonical form is the shortest
+     * encoding over all phases and the 8 orientations, ties broken
+     * lexicographically, as on Catagolue.
+     * 
+     * @param {[number, number][] | [number, number][][]} phases - Live cells, or one array per phase
+     * @param {string} [prefix] - e.g. "xp2" or "xq4"; defaults to "xs<cells>"
+     * @returns {string} e.g. "xs4_33", "xq4_153"
+     */
+    function coordsToApgcode(phases, prefix) {
+        if (phases.length > 0 && !Array.isArray(phases[0][0])) phases = [phases];
+        
+        let best = null;
+        for (const cells of phases) {
+            for (const transform of SQUARE_SYMMETRIES) {
+                const moved = cells.map(transform);
+                let minX = Infinity, minY = Infinity;
+                for (const [x, y] of moved) {
+                    if (x < minX) minX = x;
+                    if (y < minY) minY = y;
+                }
+                const code = wechslerEncode(moved.map(([x, y]) => [x - minX, y - minY]));
+                if (best === null || code.length < best.length ||
+                    (code.length === best.length && code < best)) {
+                    best = code;
+                }
+            }
+        }
+        return `${prefix || `xs${phases[0].length}`}_${best === null ? '0' : best}`;
+    }
+
+    /**
+     * Decode an apgcode into live cells anchored at (0, 0).
+     * 
+     * @param {string} code - e.g. "xp15_4r4z4r4"
+     * @returns {[number, number][] | null} Cells, or null if not a valid apgcode
+     */
+    function apgcodeToCoords(code) {
+        const match = code.trim().toLowerCase().match(APGCODE_PATTERN);
+        if (!match) return null;
+        
+        const body = match[2];
+        const coords = [];
+        let x = 0, y = 0;
+        for (let i = 0; i < body.length; i++) {
+            const ch = body[i];
+            if (ch === 'z') {
+                x = 0;
+                y += 5;
+            } else if (ch === 'w') {
+                x += 2;
+            } else if (ch === 'x') {
+                x += 3;
+            } else if (ch === 'y') {
+                if (i + 1 >= body.length) return null;
+                x += 4 + WECHSLER_DIGITS.indexOf(body[++i]);
+            } else {
+                const value = WECHSLER_DIGITS.indexOf(ch);
+                for (let bit = 0; bit < 5; bit++) {
+                    if ((value >> bit) & 1) coords.push([x, y + bit]);
+                }
+                if (coords.length > RLE_MAX_CELLS) return null;
+                x++;
+            }
+        }
+        return coords;
+    }
+
+    /**
+     * @param {string} str
+     * @returns {boolean} True if str looks like an apgcode (xs/xp/xq prefix)
+     */
+    function isApgcode(str) {
+        return APGCODE_PATTERN.test(str.trim().toLowerCase());
+    }
+
+    // =============================================================================
+    // SHAPES
+    // =============================================================================
+
+    /**
+     * Cells on the line from (x0, y0) to (x1, y1), endpoints included
+     * (Bresenham's algorithm).
+     * 
+     * @returns {[number, number][]}
+     */
+    function lineCells(x0, y0, x1, y1) {
+        const cells = [];
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0, y = y0;
+        for (;;) {
+            cells.push([x, y]);
+            if (x === x1 && y === y1) break;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+        }
+        return cells;
+    }
+
+    /**
+     * Cells of the rectangle with opposite corners (x0, y0) and (x1, y1):
+     * its outline, or every cell inside when filled.
+     * 
+     * @returns {[number, number][]}
+     */
+    function rectangleCells(x0, y0, x1, y1, filled = false) {
+        const left = Math.min(x0, x1), right = Math.max(x0, x1);
+        const top = Math.min(y0, y1), bottom = Math.max(y0, y1);
+        const cells = [];
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                if (filled || y === top || y === bottom || x === left || x === right) {
+                    cells.push([x, y]);
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Outline of the ellipse inscribed in the rectangle with opposite corners
+     * (x0, y0) and (x1, y1). A cell is inside when its center is; the outline
+     * is the inside cells with an orthogonal neighbor outside.
+     * 
+     * @returns {[number, number][]}
+     */
+    function ellipseCells(x0, y0, x1, y1) {
+        const left = Math.min(x0, x1), right = Math.max(x0, x1);
+        const top = Math.min(y0, y1), bottom = Math.max(y0, y1);
+        const rx = (right - left + 1) / 2;
+        const ry = (bottom - top + 1) / 2;
+        const cx = left + rx;
+        const cy = top + ry;
+        const inside = (x, y) => {
+            const nx = (x + 0.5 - cx) / rx;
+            const ny = (y + 0.5 - cy) / ry;
+            return nx * nx + ny * ny <= 1;
+        };
+        
+        const cells = [];
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                if (inside(x, y) && !(inside(x - 1, y) && inside(x + 1, y) && inside(x, y - 1) && inside(x, y + 1))) {
+                    cells.push([x, y]);
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Dead cells orthogonally connected to (x, y) within a width x height
+     * area. Live cells bound the fill; `bounded` is false when it reached
+     * the edge of the area instead. The fill gives up (`truncated`, and not
+     * bounded) once it has found `maxCells` cells.
+     * 
+     * @param {function(number, number): boolean} isLive - Cell lookup
+     * @param {number} x - Start x
+     * @param {number} y - Start y
+     * @param {number} width - Area width
+     * @param {number} height - Area height
+     * @param {number} [maxCells] - Most cells to fill
+     * @returns {{cells: [number, number][], bounded: boolean, truncated: boolean}}
+     */
+    function floodFillCells(isLive, x, y, width, height, maxCells = Infinity) {
+        const cells = [];
+        if (x < 0 || y < 0 || x >= width || y >= height || isLive(x, y)) return { cells, bounded: true, truncated: false };
+        
+        const seen = new Uint8Array(width * height);
+        const stack = [x, y];
+        seen[y * width + x] = 1;
+        let bounded = true;
+        while (stack.length > 0) {
+            if (cells.length >= maxCells) return { cells, bounded: false, truncated: true };
+            const cy = stack.pop();
+            const cx = stack.pop();
+            cells.push([cx, cy]);
+            if (cx === 0 || cy === 0 || cx === width - 1 || cy === height - 1) bounded = false;
+            for (const [nx, ny] of [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]]) {
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const i = ny * width + nx;
+                if (seen[i] || isLive(nx, ny)) continue;
+                seen[i] = 1;
+                stack.push(nx, ny);
+            }
+        }
+        return { cells, bounded, truncated: false };
+    }
+
+    // Symmetry groups for symmetric drawing, as indices into SQUARE_SYMMETRIES.
+    // D2| mirrors across a vertical axis, D2- across a horizontal one.
+    const SYMMETRY_GROUPS = {
+        C1: [0],
+        C2: [0, 2],
+        C4: [0, 1, 2, 3],
+        'D2|': [0, 4],
+        'D2-': [0, 6],
+        D4: [0, 2, 4, 6],
+        D8: [0, 1, 2, 3, 4, 5, 6, 7],
+    };
+
+    /**
+     * The image of some cells under each element of a symmetry group about a
+     * center given in doubled coordinates: cell (x, y) has its center at
+     * (2x + 1, 2y + 1), so the center can sit on a cell, an edge or a corner.
+     * Cells whose image falls between cells (a quarter turn about an edge)
+     * are dropped from that image.
+     * 
+     * @param {[number, number][]} cells - Cells to mirror
+     * @param {string} group - Key of SYMMETRY_GROUPS
+     * @param {number} cx2 - Doubled center x
+     * @param {number} cy2 - Doubled center y
+     * @returns {[number, number][][]} One list of cells per group element, the identity first
+     */
+    function symmetricImages(cells, group, cx2, cy2) {
+        return (SYMMETRY_GROUPS[group] || SYMMETRY_GROUPS.C1).map(index => {
+            const transform = SQUARE_SYMMETRIES[index];
+            const image = [];
+            for (const [x, y] of cells) {
+                const [rx, ry] = transform([2 * x + 1 - cx2, 2 * y + 1 - cy2]);
+                const nx = cx2 + rx - 1;
+                const ny = cy2 + ry - 1;
+                if (nx % 2 !== 0 || ny % 2 !== 0) continue;
+                image.push([nx / 2, ny / 2]);
+            }
+            return image;
+        });
+    }
+
+    /**
+     * All images of some cells under a symmetry group, merged into one list
+     * (see symmetricImages for the center convention).
+     * 
+     * @param {[number, number][]} cells - Cells to mirror
+     * @param {string} group - Key of SYMMETRY_GROUPS
+     * @param {number} cx2 - Doubled center x
+     * @param {number} cy2 - Doubled center y
+     * @returns {[number, number][]} Distinct cells, originals first
+     */
+    function symmetricCells(cells, group, cx2, cy2) {
+        const seen = new Set();
+        const result = [];
+        for (const image of symmetricImages(cells, group, cx2, cy2)) {
+            for (const [x, y] of image) {
+                const key = `${x},${y}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                result.push([x, y]);
+            }
+        }
+        return result;
+    }
+
+    // =============================================================================
+    // GIF ENCODING
+    // =============================================================================
+
+    /*
+     * Animated GIF89a with one global 256-color table, so every frame is
+     * LZW-coded with a minimum code size of 8. A file is the header, the
+     * frames and the trailer, concatenated (e.g. as Blob parts).
+     */
+
+    const GIF_MIN_CODE_SIZE = 8;
+    const GIF_MAX_CODE = 4096;
+
+    /**
+     * Write the GIF header: screen size, global color table and the
+     * NETSCAPE2.0 looping extension.
+     * 
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {[number, number, number][]} palette - Up to 256 [r, g, b] colors; the rest is black
+     * @param {number} [loops] - Times to repeat, 0 for forever
+     * @returns {Uint8Array}
+     */
+    function encodeGIFHeader(width, height, palette, loops = 0) {
+        const bytes = [0x47, 0x49, 0x46, 0x38, 0x39, 0x61]; // "GIF89a"
+        bytes.push(width & 0xFF, width >> 8, height & 0xFF, height >> 8);
+        bytes.push(0xF7, 0, 0); // Global 256-color table, background 0, square pixels
+        for (let i = 0; i < 256; i++) {
+            const [r, g, b] = palette[i] || [0, 0, 0];
+            bytes.push(r, g, b);
+        }
+        bytes.push(0x21, 0xFF, 0x0B, ...Array.from('NETSCAPE2.0', c => c.charCodeAt(0)));
+        bytes.push(0x03, 0x01, loops & 0xFF, loops >> 8, 0x00);
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Write one full-size frame of palette indices.
+     * 
+     * @param {Uint8Array} indices - width * height palette indices, row-major
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {number} delay - Time to show the frame, in hundredths of a second
+     * @returns {Uint8Array}
+     */
+    function encodeGIFFrame(indices, width, height, delay) {
+        const data = lzwEncode(indices, GIF_MIN_CODE_SIZE);
+        const bytes = [
+            0x21, 0xF9, 0x04, 0x00, delay & 0xFF, (delay >> 8) & 0xFF, 0x00, 0x00, // Graphic control
+            0x2C, 0, 0, 0, 0, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x00, // Image descriptor
+            GIF_MIN_CODE_SIZE
+        ];
+        // Data sub-blocks of up to 255 bytes, then an empty one
+        const out = new Uint8Array(bytes.length + data.length + Math.ceil(data.length / 255) + 1);
+        out.set(bytes);
+        let pos = bytes.length;
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            out[pos++] = block.length;
+            out.set(block, pos);
+            pos += block.length;
+        }
+        out[pos] = 0;
+        return out;
+    }
+
+    /**
+     * The byte that ends a GIF file.
+     * 
+     * @returns {Uint8Array}
+     */
+    function encodeGIFTrailer() {
+        return new Uint8Array([0x3B]);
+    }
+
+    /**
+     * GIF-flavored LZW: variable code width from minCodeSize + 1 up to 12 bits,
+     * packed least significant bit first, with a clear code whenever the
+     * table fills.
+     * 
+     * @param {Uint8Array} indices - Symbols below 2^minCodeSize
+     * @param {number} minCodeSize - Bits per symbol
+     * @returns {Uint8Array} Packed codes
+     */
+    function lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const out = [];
+        let bits = 0, bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        const emit = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                out.push(bits & 0xFF);
+                bits >>>= 8;
+                bitCount -= 8;
+            }
+        };
+        
+        // Key: prefix code * 256 + next symbol
+        let table = new Map();
+        let nextCode = endCode + 1;
+        emit(clearCode);
+        if (indices.length > 0) {
+            let prefix = indices[0];
+            for (let i = 1; i < indices.length; i++) {
+                const symbol = indices[i];
+                const key = prefix * 256 + symbol;
+                const code = table.get(key);
+                if (code !== undefined) {
+                    prefix = code;
+                    continue;
+                }
+                emit(prefix);
+                if (nextCode === GIF_MAX_CODE) {
+                    emit(clearCode);
+                    table = new Map();
+                    nextCode = endCode + 1;
+                    codeSize = minCodeSize + 1;
+                } else {
+                    if (nextCode >= (1 << codeSize)) codeSize++;
+                    table.set(key, nextCode++);
+                }
+                prefix = symbol;
+            }
+            emit(prefix);
         }
-        return `B${b}/S${s}`;
+        emit(endCode);
+        if (bitCount > 0) out.push(bits & 0xFF);
+        return new Uint8Array(out);
     }
 
     // =============================================================================
@@ -310,15 +1460,51 @@
 
     exports.hexToRGB = hexToRGB;
     exports.parseRLE = parseRLE;
+    exports.parseRLEHeader = parseRLEHeader;
+    exports.parseCXRLE = parseCXRLE;
+    exports.formatCXRLE = formatCXRLE;
+    exports.parsePatternMetadata = parsePatternMetadata;
+    exports.formatPatternMetadata = formatPatternMetadata;
     exports.rleToCoords = rleToCoords;
     exports.coordsToRLE = coordsToRLE;
+    exports.parsePlaintext = parsePlaintext;
+    exports.parseLife106 = parseLife106;
+    exports.coordsToPlaintext = coordsToPlaintext;
+    exports.parseLife105 = parseLife105;
+    exports.coordsToLife105 = coordsToLife105;
+    exports.coordsToLife106 = coordsToLife106;
+    exports.detectPatternFormat = detectPatternFormat;
+    exports.parseCellListMetadata = parseCellListMetadata;
+    exports.parsePatternText = parsePatternText;
     exports.parseRule = parseRule;
     exports.isValidRule = isValidRule;
     exports.normalizeRule = normalizeRule;
+    exports.getHenselIndex = getHenselIndex;
+    exports.buildRuleTable = buildRuleTable;
+    exports.parseTopology = parseTopology;
+    exports.formatTopology = formatTopology;
+    exports.describePeriod = describePeriod;
+    exports.createRng = createRng;
+    exports.coordsToApgcode = coordsToApgcode;
+    exports.apgcodeToCoords = apgcodeToCoords;
+    exports.isApgcode = isApgcode;
+    exports.lineCells = lineCells;
+    exports.rectangleCells = rectangleCells;
+    exports.ellipseCells = ellipseCells;
+    exports.floodFillCells = floodFillCells;
+    exports.symmetricImages = symmetricImages;
+    exports.symmetricCells = symmetricCells;
+    exports.encodeGIFHeader = encodeGIFHeader;
+    exports.encodeGIFFrame = encodeGIFFrame;
+    exports.encodeGIFTrailer = encodeGIFTrailer;
+    exports.lzwEncode = lzwEncode;
     exports.popcount32 = popcount32;
     
     // Constants
     exports.RLE_MAX_CELLS = RLE_MAX_CELLS;
     exports.RLE_MAX_RUN_LENGTH = RLE_MAX_RUN_LENGTH;
+    exports.GENERATIONS_MAX_STATES = GENERATIONS_MAX_STATES;
+    exports.TOPOLOGY_MAX_SIZE = TOPOLOGY_MAX_SIZE;
+    exports.SYMMETRY_GROUPS = SYMMETRY_GROUPS;
 
 })(typeof exports !== 'undefined' ? exports : (typeof self !== 'undefined' ? (self.Lib = {}) : (window.Lib = {})));
@@ -27,8 +27,36 @@ const APP_VERSION = 'v1.3.2';
 const BITS_PER_WORD = 32;     // Bits in Uint32 word (must match worker)
 const SPEED_SLIDER_MAX = 66;  // Max slider value (7-66 maps to 1-60 FPS)
 
+// Export formats offered by the File panel (keys match the worker's export payload)
+const EXPORT_FORMATS = {
+    rle: { ext: 'rle', label: 'RLE' },
+    mc: { ext: 'mc', label: 'Macrocell' },
+    cells: { ext: 'cells', label: 'Plaintext' },
+    life105: { ext: 'lif', label: 'Life 1.05' },
+    life106: { ext: 'lif', label: 'Life 1.06' },
+};
+
+// Tools that draw a shape from a drag (or, for 'fill', a click) in one batch
+const SHAPE_TOOLS = ['line', 'rect', 'fillrect', 'ellipse', 'fill'];
+
+// Paste preview colors: stamp cells over dead cells, and over live cells
+const GHOST_RGB = { r: 136, g: 192, b: 208 };
+const GHOST_HIT_RGB = { r: 191, g: 97, b: 106 };
+const GHOST_ALPHA = 0.5;
+
+// Names of the formats parsePatternText recognizes, for toasts
+const PATTERN_FORMAT_LABELS = {
+    rle: 'RLE',
+    plaintext: 'plaintext',
+    life105: 'Life 1.05',
+    life106: 'Life 1.06',
+    apgcode: 'apgcode',
+};
+
 // Import utilities from lib.js (loaded via <script> before this file)
-const { hexToRGB, parseRLE, rleToCoords } = Lib;
+const {
+    hexToRGB, parseRLE, parsePatternText, detectPatternFormat, parsePatternMetadata, rleToCoords, parseRule, normalizeRule, apgcodeToCoords
+} = Lib;
 
 // WebGL Renderer (optional, for massive grids)
 class WebGLRenderer {
@@ -67,10 +95,10 @@ class WebGLRenderer {
         // Fragment shader: colors cells
         const fsSource = `
             precision mediump float;
-            uniform vec3 u_color;
+            uniform vec4 u_color;
 
             void main() {
-                gl_FragColor = vec4(u_color, 1.0);
+                gl_FragColor = u_color;
             }
         `;
 
@@ -151,7 +179,31 @@ class WebGLRenderer {
             }
         }
 
-        if (positions.length === 0) return true;
+        const liveRGB = hexToRGB(liveColor);
+        this.drawPoints(positions, cellSize, liveRGB, 1);
+        return true;
+    }
+
+    // Draw translucent cells on top of the last render (paste preview)
+    renderOverlay(cells, cellSize, rgb, alpha) {
+        if (!this.available || cells.length === 0) return;
+
+        const positions = [];
+        for (const [vx, vy] of cells) {
+            positions.push(vx + 0.5, vy + 0.5);
+        }
+
+        const gl = this.gl;
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        this.drawPoints(positions, cellSize, rgb, alpha);
+        gl.disable(gl.BLEND);
+    }
+
+    drawPoints(positions, cellSize, rgb, alpha) {
+        if (positions.length === 0) return;
+
+        const gl = this.gl;
 
         // Upload positions
         gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
@@ -164,9 +216,7 @@ class WebGLRenderer {
         gl.uniform2f(this.resolutionLoc, this.canvas.width, this.canvas.height);
         gl.uniform2f(this.offsetLoc, 0, 0);
         gl.uniform1f(this.cellSizeLoc, cellSize);
-
-        const liveRGB = hexToRGB(liveColor);
-        gl.uniform3f(this.colorLoc, liveRGB.r / 255, liveRGB.g / 255, liveRGB.b / 255);
+        gl.uniform4f(this.colorLoc, rgb.r / 255, rgb.g / 255, rgb.b / 255, alpha);
 
         // Enable position attribute
         gl.enableVertexAttribArray(this.positionLoc);
@@ -174,8 +224,6 @@ class WebGLRenderer {
 
         // Draw points
         gl.drawArrays(gl.POINTS, 0, positions.length / 2);
-
-        return true;
     }
 }
 
@@ -213,13 +261,19 @@ const CONF = {
 // Heatmap color (intensity 0-255 -> color)
 function getHeatmapColor(intensity) {
     if (intensity === 0) return null;
-    // Black -> Red -> Yellow -> White gradient
-    const r = Math.min(255, intensity * 4);
-    const g = Math.min(255, Math.max(0, (intensity - 64) * 2));
-    const b = Math.min(255, Math.max(0, (intensity - 192) * 4));
+    const { r, g, b } = getHeatmapRGB(intensity);
     return `rgb(${r},${g},${b})`;
 }
 
+// Black -> Red -> Yellow -> White gradient
+function getHeatmapRGB(intensity) {
+    return {
+        r: Math.min(255, intensity * 4),
+        g: Math.min(255, Math.max(0, (intensity - 64) * 2)),
+        b: Math.min(255, Math.max(0, (intensity - 192) * 4))
+    };
+}
+
 // Pattern Library - RLE-encoded patterns from LifeWiki
 // Organized by category for dropdown optgroups
 const PATTERN_LIBRARY = {
@@ -282,6 +336,7 @@ function buildPatternCache() {
 }
 
 // Current pattern for paste mode (key into PATTERN_CACHE or custom coords)
+const CUSTOM_PATTERN_KEY = 'Custom::Pasted';
 let currentPatternKey = 'Spaceships::Glider';
 let currentPatternCoords = null; // Cache of current pattern coords (may be rotated)
 
@@ -300,6 +355,14 @@ function resetCurrentPattern() {
         : [[0,0]];
 }
 
+// Use arbitrary cells as the paste pattern and switch to paste mode
+function setCustomPattern(coords) {
+    PATTERN_CACHE[CUSTOM_PATTERN_KEY] = coords;
+    currentPatternKey = CUSTOM_PATTERN_KEY;
+    resetCurrentPattern();
+    document.querySelector('[data-mode="paste"]').click();
+}
+
 // Load pattern from library to grid (replaces current pattern)
 function loadPatternToGrid(patternKey) {
     const coords = PATTERN_CACHE[patternKey];
@@ -310,9 +373,9 @@ function loadPatternToGrid(patternKey) {
 
     // Build RLE from coords for loading
     const [category, name] = patternKey.split('::');
-    const rle = PATTERN_LIBRARY[category]?.[name];
+    const rle = PATTERN_LIBRARY[category]?.[name] ?? Lib.coordsToRLE(coords);
     if (rle) {
-        loadFromRLE(`x = 0, y = 0\n${rle}`);
+        loadFromRLE(rle);
         ui.viewX = -10;
         ui.viewY = -10;
         ui.worker.postMessage({ type: 'viewportMove', payload: { x: ui.viewX, y: ui.viewY } });
@@ -352,6 +415,9 @@ class UI {
         this.lastGrid = null;
         this.lastAges = null;
         this.lastHeatmap = null;
+        this.lastDying = null;
+        this.ruleStates = 2;
+        this.topology = null; // Bounded grid from the rule suffix, in global coords
 
         // Viewport State
         this.viewX = 0;
@@ -365,11 +431,16 @@ class UI {
         // State
         this.isRunning = false;
         this.mouse = { x: 0, y: 0, down: false, lastX: 0, lastY: 0 };
+        this.strokeOpen = false; // Draw/erase stroke in progress (one undo step)
         this.mode = 'draw';
 
-        // Selection state (viewport coordinates)
-        this.selection = null; // { x1, y1, x2, y2 } in cell coords, null if none
+        // Selection state (global cell coordinates, so it survives panning and zooming)
+        this.selection = null; // { x1, y1, x2, y2 } corners, null if none
         this.selectionStart = null; // { x, y } during drag
+        this.selectionDrag = null; // { origin, startX, startY, dx, dy, cells } while moving a selection
+        this.shape = null; // { x0, y0, x1, y1, cells } while dragging a shape tool (or hovering with fill)
+        // Drawing symmetry (Lib.SYMMETRY_GROUPS key) about a center in doubled global coords
+        this.symmetry = { group: 'C1', cx2: 1, cy2: 1 };
 
         // Population history for graph
         this.popHistory = [];
@@ -413,6 +484,9 @@ class UI {
             this.lastGrid = payload.grid;
             this.lastAges = payload.ages || null;
             this.lastHeatmap = payload.heatmap || null;
+            this.lastDying = payload.dying || null;
+            this.ruleStates = payload.states || 2;
+            this.topology = payload.topology || null;
             this.isRunning = payload.running;
             this.lastBbox = payload.bbox;
             if (payload.rule) this.currentRule = payload.rule;
@@ -445,6 +519,47 @@ class UI {
             toast(`Jumped to gen ${payload}`);
         } else if (type === 'jumpError') {
             toast(payload, true);
+        } else if (type === 'periodResult') {
+            showPeriodResult(payload);
+        } else if (type === 'apgcode') {
+            copyApgcode(payload);
+        } else if (type === 'census') {
+            showCensus(payload);
+        } else if (type === 'soupSearchError') {
+            toast(payload, true);
+        } else if (type === 'selectionTransformed') {
+            this.selection = payload;
+        } else if (type === 'selectionCells') {
+            onSelectionCells(payload);
+        } else if (type === 'selectionBox') {
+            onSelectionBox(payload);
+        } else if (type === 'metadata') {
+            showMetadata(payload);
+        } else if (type === 'imageData') {
+            savePNG(payload);
+        } else if (type === 'imageError') {
+            toast(payload, true);
+        } else if (type === 'recordProgress') {
+            if (recording) showRecordProgress(payload / 2);
+        } else if (type === 'recordCancelled') {
+            onRecordCancelled();
+        } else if (type === 'recordedFrames') {
+            encodeRecording(payload);
+        } else if (type === 'recordError') {
+            onRecordError(payload);
+        } else if (type === 'editResult') {
+            toast(payload.message, !payload.ok);
+        } else if (type === 'engineChanged') {
+            // The worker falls back to SWAR by itself when a new rule rules out HashLife
+            document.getElementById('engine-select').value = payload.engine;
+            document.getElementById('hashlife-step').disabled = payload.engine !== 'hashlife';
+            const step = payload.engine === 'hashlife' ? ` (2^${payload.stepExp} gens/step)` : '';
+            const reason = payload.reason ? ` (${payload.reason})` : '';
+            toast(`Engine: ${payload.engine === 'hashlife' ? 'HashLife' : 'SWAR'}${step}${reason}`, !!payload.reason);
+        } else if (type === 'engineError') {
+            document.getElementById('engine-select').value = 'swar';
+            document.getElementById('hashlife-step').disabled = true;
+            toast(payload, true);
         }
     }
 
@@ -461,6 +576,20 @@ class UI {
         return y * this.cols + x;
     }
 
+    // Global cell under a canvas pixel position
+    cellAt(px, py) {
+        return {
+            x: Math.round(this.viewX) + Math.floor(px / CONF.cellSize),
+            y: Math.round(this.viewY) + Math.floor(py / CONF.cellSize),
+        };
+    }
+
+    // Whether a viewport cell was alive in the last update
+    isLive(x, y) {
+        const word = this.lastGrid[y * this.stride + Math.floor(x / BITS_PER_WORD)];
+        return ((word >>> (x % BITS_PER_WORD)) & 1) === 1;
+    }
+
     moveViewport(dx, dy) {
         this.viewX -= dx;
         this.viewY -= dy;
@@ -473,16 +602,9 @@ class UI {
     }
 
     handleExport(data) {
-        const blob = new Blob([data.rle], {type: 'text/plain'});
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `pattern_${Date.now()}.rle`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        toast("Exported RLE");
+        const format = EXPORT_FORMATS[data.format] || EXPORT_FORMATS.rle;
+        downloadText(data.text, `pattern_${Date.now()}.${format.ext}`);
+        toast(`Exported ${format.label}`);
     }
 
     draw() {
@@ -491,14 +613,18 @@ class UI {
         const cellSize = CONF.cellSize;
 
         // Try WebGL for small cells (very fast for many cells)
-        if (this.useWebGL && cellSize <= 3 && !CONF.useAgeColor && !CONF.useHeatmap) {
+        if (this.useWebGL && cellSize <= 3 && !CONF.useAgeColor && !CONF.useHeatmap && !this.lastDying) {
             if (!this.webglRenderer) {
                 this.webglRenderer = new WebGLRenderer(this.canvas);
             }
             if (this.webglRenderer.available) {
                 if (this.webglRenderer.render(this.lastGrid, this.stride, this.cols, this.rows, cellSize, CONF.liveColor)) {
-                    // WebGL rendered, draw overlays using 2D context
-                    this.drawGhostPattern();
+                    // WebGL rendered: paste preview on the GPU, other overlays using 2D context
+                    const ghost = this.getGhostCells();
+                    this.webglRenderer.renderOverlay(ghost.free, cellSize, GHOST_RGB, GHOST_ALPHA);
+                    this.webglRenderer.renderOverlay(ghost.hit, cellSize, GHOST_HIT_RGB, GHOST_ALPHA);
+                    this.drawTopology();
+                    this.drawSymmetry();
                     this.drawSelection();
                     return;
                 }
@@ -513,26 +639,137 @@ class UI {
             this.drawFillRect();
         }
 
+        this.drawTopology();
+        this.drawSymmetry();
         this.drawGhostPattern();
         this.drawSelection();
     }
 
+    // Mark the symmetry center and draw the mirror axes
+    drawSymmetry() {
+        const { group, cx2, cy2 } = this.symmetry;
+        if (group === 'C1') return;
+
+        const cellSize = CONF.cellSize;
+        const x = (cx2 / 2 - Math.round(this.viewX)) * cellSize;
+        const y = (cy2 / 2 - Math.round(this.viewY)) * cellSize;
+        const far = this.canvas.width + this.canvas.height;
+        const ctx = this.ctx;
+
+        ctx.strokeStyle = '#B48EAD';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        if (group === 'D2|' || group === 'D4' || group === 'D8') {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.canvas.height);
+        }
+        if (group === 'D2-' || group === 'D4' || group === 'D8') {
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.canvas.width, y);
+        }
+        if (group === 'D8') {
+            ctx.moveTo(x - far, y - far);
+            ctx.lineTo(x + far, y + far);
+            ctx.moveTo(x - far, y + far);
+            ctx.lineTo(x + far, y - far);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        ctx.arc(x, y, 5, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    // Dim everything outside a bounded grid and outline its edges.
+    // Twisted (Klein bottle) edges are dashed.
+    drawTopology() {
+        const topo = this.topology;
+        if (!topo) return;
+
+        const cellSize = CONF.cellSize;
+        const x = (topo.left - Math.round(this.viewX)) * cellSize;
+        const y = (topo.top - Math.round(this.viewY)) * cellSize;
+        const w = topo.width * cellSize;
+        const h = topo.height * cellSize;
+        const ctx = this.ctx;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.beginPath();
+        ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.rect(x, y, w, h);
+        ctx.fill('evenodd');
+
+        ctx.strokeStyle = '#EBCB8B';
+        ctx.lineWidth = 2;
+        const edge = (x1, y1, x2, y2, twisted) => {
+            ctx.setLineDash(twisted ? [6, 4] : []);
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        };
+        edge(x, y, x + w, y, topo.twist === 'x');
+        edge(x, y + h, x + w, y + h, topo.twist === 'x');
+        edge(x, y, x, y + h, topo.twist === 'y');
+        edge(x + w, y, x + w, y + h, topo.twist === 'y');
+        ctx.setLineDash([]);
+    }
+
+    // Visible cells of the paste stamp under the cursor (or of a selection
+    // being dragged), split into those landing on dead cells and those
+    // colliding with live ones
+    getGhostCells() {
+        const free = [];
+        const hit = [];
+        let cells, mx, my;
+        let moving = null; // Cells leaving their place don't count as collisions
+        const drag = this.selectionDrag;
+        if (drag) {
+            cells = drag.cells;
+            mx = Math.min(drag.origin.x1, drag.origin.x2) - Math.round(this.viewX);
+            my = Math.min(drag.origin.y1, drag.origin.y2) - Math.round(this.viewY);
+            moving = new Set(cells.map(([x, y]) => `${mx + x},${my + y}`));
+            mx += drag.dx;
+            my += drag.dy;
+        } else if (this.shape) {
+            cells = this.shape.cells;
+            mx = my = 0;
+        } else if (this.mode === 'paste' && !this.isRunning) {
+            cells = getCurrentPattern();
+            mx = Math.floor(this.mouse.x / CONF.cellSize);
+            my = Math.floor(this.mouse.y / CONF.cellSize);
+        } else {
+            return { free, hit };
+        }
+
+        let placed = cells.map(([px, py]) => [mx + px, my + py]);
+        if (!drag) placed = mirrorViewCells(placed);
+        for (const [vx, vy] of placed) {
+            if (this.idx(vx, vy) === -1) continue;
+            if (this.isLive(vx, vy) && !(moving && moving.has(`${vx},${vy}`))) {
+                hit.push([vx, vy]);
+            } else {
+                free.push([vx, vy]);
+            }
+        }
+        return { free, hit };
+    }
+
     // Draw ghost pattern for paste mode
     drawGhostPattern() {
         const cellSize = CONF.cellSize;
-        if (this.mode === 'paste' && !this.isRunning) {
-            const sz = cellSize > 1 ? cellSize - 1 : 1;
-            this.ctx.fillStyle = 'rgba(136, 192, 208, 0.5)';
-            const p = getCurrentPattern();
-            const mx = Math.floor(this.mouse.x / cellSize);
-            const my = Math.floor(this.mouse.y / cellSize);
-
-            for (let [px, py] of p) {
-                const tx = (mx + px) * cellSize;
-                const ty = (my + py) * cellSize;
-                this.ctx.fillRect(tx, ty, sz, sz);
+        const sz = cellSize > 1 ? cellSize - 1 : 1;
+        const ghost = this.getGhostCells();
+        const fill = (cells, rgb) => {
+            this.ctx.fillStyle = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${GHOST_ALPHA})`;
+            for (const [vx, vy] of cells) {
+                this.ctx.fillRect(vx * cellSize, vy * cellSize, sz, sz);
             }
-        }
+        };
+        fill(ghost.free, GHOST_RGB);
+        fill(ghost.hit, GHOST_HIT_RGB);
     }
 
     // Draw selection rectangle overlay
@@ -541,8 +778,8 @@ class UI {
         if (!sel) return;
 
         const cellSize = CONF.cellSize;
-        const x = Math.min(sel.x1, sel.x2) * cellSize;
-        const y = Math.min(sel.y1, sel.y2) * cellSize;
+        const x = (Math.min(sel.x1, sel.x2) - Math.round(this.viewX)) * cellSize;
+        const y = (Math.min(sel.y1, sel.y2) - Math.round(this.viewY)) * cellSize;
         const w = (Math.abs(sel.x2 - sel.x1) + 1) * cellSize;
         const h = (Math.abs(sel.y2 - sel.y1) + 1) * cellSize;
 
@@ -622,6 +859,29 @@ class UI {
             }
         }
 
+        // Draw dying cells (Generations rules)
+        if (this.lastDying) {
+            for (let i = 0; i < this.lastDying.length; i++) {
+                const state = this.lastDying[i];
+                if (!state) continue;
+
+                const rgb = getDyingRGB(state, this.ruleStates);
+                const startX = (i % this.cols) * cellSize;
+                const startY = Math.floor(i / this.cols) * cellSize;
+                const endX = Math.min(startX + cellSize, canvasW);
+                const endY = Math.min(startY + cellSize, canvasH);
+
+                for (let py = startY; py < endY; py++) {
+                    for (let px = startX; px < endX; px++) {
+                        const idx = (py * canvasW + px) * 4;
+                        data[idx] = rgb.r;
+                        data[idx + 1] = rgb.g;
+                        data[idx + 2] = rgb.b;
+                    }
+                }
+            }
+        }
+
         this.ctx.putImageData(this.imageData, 0, 0);
     }
 
@@ -696,6 +956,17 @@ class UI {
                 }
             }
         }
+
+        // Dying cells (Generations rules)
+        if (this.lastDying) {
+            for (let i = 0; i < this.lastDying.length; i++) {
+                const state = this.lastDying[i];
+                if (!state) continue;
+                const rgb = getDyingRGB(state, this.ruleStates);
+                this.ctx.fillStyle = `rgb(${rgb.r},${rgb.g},${rgb.b})`;
+                this.ctx.fillRect((i % this.cols) * cellSize, Math.floor(i / this.cols) * cellSize, sz, sz);
+            }
+        }
     }
 
     renderLoop() {
@@ -789,22 +1060,7 @@ const hashState = {
 
         // Apply rule
         if (state.r) {
-            const select = document.getElementById('rule-preset');
-            const customRow = document.getElementById('custom-rule-row');
-
-            // Check if it's a preset
-            const options = Array.from(select.options);
-            const match = options.find(o => o.value === state.r);
-
-            if (match) {
-                select.value = state.r;
-                customRow.style.display = 'none';
-            } else {
-                select.value = 'custom';
-                customRow.style.display = 'flex';
-                document.getElementById('custom-rule').value = state.r;
-            }
-            ui.worker.postMessage({ type: 'setRule', payload: state.r });
+            selectRule(state.r);
         }
     },
 
@@ -904,6 +1160,19 @@ function getAgeColor(age) {
     return CONF.ageColors[5];
 }
 
+// Dying state color (Generations rules): fades from the live color
+// towards the background as the state approaches C-1
+function getDyingRGB(state, states) {
+    const live = hexToRGB(CONF.liveColor);
+    const dead = hexToRGB(CONF.deadColor);
+    const t = (state - 1) / (states - 1);
+    return {
+        r: Math.round(live.r + (dead.r - live.r) * t),
+        g: Math.round(live.g + (dead.g - live.g) * t),
+        b: Math.round(live.b + (dead.b - live.b) * t)
+    };
+}
+
 function updateBtnState(running) {
     const btn = document.getElementById('btn-play');
     btn.innerText = running ? "Pause" : "Play";
@@ -915,6 +1184,8 @@ const actions = {
     step: () => ui.worker.postMessage({ type: 'step' }),
     reverse: () => ui.worker.postMessage({ type: 'reverse' }),
     clear: () => ui.worker.postMessage({ type: 'clear' }),
+    undo: () => ui.worker.postMessage({ type: 'undo' }),
+    redo: () => ui.worker.postMessage({ type: 'redo' }),
     randomize: () => {
         const density = parseInt(document.getElementById('density-range').value) / 100;
         ui.worker.postMessage({ type: 'randomize', payload: density });
@@ -947,6 +1218,15 @@ const actions = {
         rotateCurrentPattern();
         document.querySelector('[data-mode="paste"]').click();
     },
+    // Flip the selection in place if there is one, else the paste stamp
+    flip: (axis) => {
+        if (ui.selection) {
+            transformSelection(axis === 'x' ? 'flipX' : 'flipY');
+        } else {
+            flipCurrentPattern(axis);
+            document.querySelector('[data-mode="paste"]').click();
+        }
+    },
     toggleSidebar: () => {
         document.getElementById('sidebar').classList.toggle('collapsed');
         setTimeout(() => ui.resize(), 350);
@@ -978,6 +1258,119 @@ document.getElementById('btn-jump').onclick = () => {
     }
 };
 
+// Period / spaceship detection. While the worker searches, the button that
+// started it reads "Stop" and either button cancels.
+const PERIOD_BUTTONS = { 'btn-analyze': 'Period', 'btn-run-periodic': 'Run to cycle' };
+let periodSearching = false;
+
+function analyzePeriod(advance) {
+    if (periodSearching) {
+        ui.worker.postMessage({ type: 'analyzePeriodCancel' });
+        return;
+    }
+    periodSearching = true;
+    document.getElementById(advance ? 'btn-run-periodic' : 'btn-analyze').innerText = 'Stop';
+    ui.worker.postMessage({
+        type: 'analyzePeriod',
+        payload: { advance, translate: document.getElementById('period-translate').checked }
+    });
+}
+document.getElementById('btn-analyze').onclick = () => analyzePeriod(false);
+document.getElementById('btn-run-periodic').onclick = () => analyzePeriod(true);
+
+function showPeriodResult(result) {
+    periodSearching = false;
+    for (const [id, label] of Object.entries(PERIOD_BUTTONS)) {
+        document.getElementById(id).innerText = label;
+    }
+    if (result.cancelled) {
+        toast('Period search cancelled');
+        return;
+    }
+    const el = document.getElementById('period-display');
+    let text;
+    if (!result.found) {
+        text = `No period within ${result.gens} gens`;
+    } else if (result.start > 0) {
+        text = `${result.description} (from gen ${result.start})`;
+    } else {
+        text = result.description;
+    }
+    el.innerText = text;
+    el.style.display = 'block';
+    toast(text, !result.found);
+}
+
+// Soup search (apgsearch-style census, run in the worker)
+let lastCensus = null;
+
+document.getElementById('btn-soup-start').onclick = () => {
+    if (lastCensus && lastCensus.running) {
+        ui.worker.postMessage({ type: 'soupSearchStop' });
+        return;
+    }
+    ui.worker.postMessage({
+        type: 'soupSearchStart',
+        payload: {
+            seed: document.getElementById('soup-seed').value.trim(),
+            soups: parseInt(document.getElementById('soup-count').value) || 0
+        }
+    });
+};
+document.getElementById('btn-census').onclick = () => {
+    document.getElementById('census-modal').classList.add('show');
+};
+document.getElementById('btn-census-close').onclick = () => {
+    document.getElementById('census-modal').classList.remove('show');
+};
+document.getElementById('btn-census-csv').onclick = () => {
+    if (!lastCensus || lastCensus.entries.length === 0) {
+        toast('Census is empty', true);
+        return;
+    }
+    const rows = [['object', 'kind', 'period', 'cells', 'count', 'rle']];
+    for (const e of lastCensus.entries) rows.push([e.key, e.kind, e.period, e.cells, e.count, e.rle]);
+    const quote = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+    const csv = rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+    downloadText(csv, `census_${lastCensus.seed}.csv`, 'text/csv');
+    toast('Exported census');
+};
+
+function showCensus(census) {
+    lastCensus = census;
+    document.getElementById('btn-soup-start').innerText = census.running ? 'Stop' : 'Start';
+    document.getElementById('soup-status').innerText =
+        `${census.running ? 'Running' : 'Stopped'}: ${census.soups} soups, ${census.entries.length} objects` +
+        (census.unstable ? `, ${census.unstable} unstable` : '');
+    document.getElementById('census-summary').innerText =
+        `Seed ${census.seed} | ${census.rule} | ${census.soups} soups (${census.unstable} unstable)`;
+
+    const tbody = document.querySelector('#census-table tbody');
+    tbody.innerHTML = '';
+    for (const e of census.entries) {
+        const tr = document.createElement('tr');
+        for (const value of [e.key, e.kind, e.period || '-', e.count]) {
+            const td = document.createElement('td');
+            td.innerText = value;
+            tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+    }
+}
+
+// Simulation engine (SWAR stepper or HashLife)
+function applyEngine() {
+    const engine = document.getElementById('engine-select').value;
+    const stepInput = document.getElementById('hashlife-step');
+    stepInput.disabled = engine !== 'hashlife';
+    ui.worker.postMessage({
+        type: 'setEngine',
+        payload: { engine, stepExp: parseInt(stepInput.value) || 0 }
+    });
+}
+document.getElementById('engine-select').onchange = applyEngine;
+document.getElementById('hashlife-step').onchange = applyEngine;
+
 document.getElementById('speed-range').oninput = (e) => actions.setFps(parseInt(e.target.value));
 document.getElementById('zoom-range').oninput = (e) => actions.setZoom(parseInt(e.target.value));
 document.getElementById('density-range').oninput = (e) => {
@@ -1014,6 +1407,8 @@ document.querySelectorAll('.tool-btn').forEach(b => {
         document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
         b.classList.add('active');
         ui.mode = b.dataset.mode;
+        ui.shape = null;
+        ui.draw(); // Show or hide the paste preview
     };
 });
 
@@ -1025,13 +1420,50 @@ document.getElementById('pattern-select').onchange = (e) => {
     document.querySelector('[data-mode="paste"]').click();
 };
 document.getElementById('btn-rotate').onclick = actions.rotate;
+// Selection operations
+document.getElementById('btn-sel-random').onclick = () => {
+    const density = parseInt(document.getElementById('density-range').value) / 100;
+    selectionOp('fillSelection', { density });
+};
+document.getElementById('btn-sel-invert').onclick = () => selectionOp('invertSelection');
+document.getElementById('btn-sel-clear-outside').onclick = () => selectionOp('clearOutsideSelection');
+document.getElementById('btn-sel-all').onclick = selectAll;
+document.getElementById('btn-sel-evolve').onclick = () => {
+    const gens = parseInt(document.getElementById('sel-evolve-gens').value) || 1;
+    selectionOp('evolveSelection', { gens });
+};
+
+document.getElementById('symmetry-select').onchange = (e) => {
+    ui.symmetry.group = e.target.value;
+    ui.draw();
+};
+document.getElementById('btn-flip-x').onclick = () => actions.flip('x');
+document.getElementById('btn-flip-y').onclick = () => actions.flip('y');
 
 // Reset pattern to base orientation
 document.getElementById('btn-reset-pattern')?.addEventListener('click', () => {
     resetCurrentPattern();
+    ui.draw();
     toast("Pattern reset");
 });
 
+// Paste pattern from an apgcode or RLE typed into the Tools panel
+document.getElementById('btn-paste-code').onclick = () => {
+    const text = document.getElementById('paste-code').value.trim();
+    if (!text) return;
+    const result = parsePatternText(text);
+    if (!result.ok || result.coords.length === 0) {
+        toast('Not an apgcode or RLE pattern', true);
+        return;
+    }
+    setCustomPattern(result.coords);
+    toast(`Pasting ${result.coords.length} cells`);
+};
+document.getElementById('paste-code').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') document.getElementById('btn-paste-code').click();
+});
+document.getElementById('btn-copy-apgcode').onclick = copySelectionAsApgcode;
+
 // Load pattern to grid button
 document.getElementById('btn-load-pattern')?.addEventListener('click', () => {
     loadPatternToGrid(currentPatternKey);
@@ -1125,18 +1557,28 @@ if (savedTheme) {
 themeToggle.onchange = (e) => setTheme(e.target.checked);
 
 function rotateCurrentPattern() {
+    transformCurrentPattern(([x, y]) => [-y, x]);
+    toast("Rotated");
+}
+
+// axis 'x' mirrors left-right, 'y' mirrors top-bottom
+function flipCurrentPattern(axis) {
+    transformCurrentPattern(axis === 'x' ? ([x, y]) => [-x, y] : ([x, y]) => [x, -y]);
+    toast(axis === 'x' ? "Flipped horizontally" : "Flipped vertically");
+}
+
+// Map every stamp cell, then shift the result back to a (0, 0) origin
+function transformCurrentPattern(transform) {
     const p = getCurrentPattern();
     let minX = Infinity, minY = Infinity;
-    const rotated = p.map(([x, y]) => {
-        const nx = -y;
-        const ny = x;
+    const transformed = p.map(cell => {
+        const [nx, ny] = transform(cell);
         if (nx < minX) minX = nx;
         if (ny < minY) minY = ny;
         return [nx, ny];
     });
-    const normalized = rotated.map(([x, y]) => [x - minX, y - minY]);
-    currentPatternCoords = normalized;
-    toast("Rotated");
+    currentPatternCoords = transformed.map(([x, y]) => [x - minX, y - minY]);
+    ui.draw();
 }
 
 // parseRLE is imported from Lib (includes validation with RLE_MAX_CELLS, RLE_MAX_RUN_LENGTH)
@@ -1150,6 +1592,16 @@ canvas.addEventListener('mousemove', e => {
     ui.mouse.x = x;
     ui.mouse.y = y;
 
+    // Move the paste/fill preview as soon as the cursor enters another cell
+    if (Math.floor(x / CONF.cellSize) !== Math.floor(ui.mouse.lastX / CONF.cellSize) ||
+        Math.floor(y / CONF.cellSize) !== Math.floor(ui.mouse.lastY / CONF.cellSize)) {
+        if (ui.mode === 'paste') {
+            ui.draw();
+        } else if (ui.mode === 'fill') {
+            previewFill(Math.floor(x / CONF.cellSize), Math.floor(y / CONF.cellSize));
+        }
+    }
+
     if (ui.mouse.down) {
         if (ui.mode === 'move') {
             const dx = (x - ui.mouse.lastX) / CONF.cellSize;
@@ -1157,9 +1609,15 @@ canvas.addEventListener('mousemove', e => {
             ui.moveViewport(dx, dy);
         } else if (ui.mode === 'select') {
             // Update selection rectangle
-            const cellX = Math.floor(x / CONF.cellSize);
-            const cellY = Math.floor(y / CONF.cellSize);
-            if (ui.selectionStart) {
+            const { x: cellX, y: cellY } = ui.cellAt(x, y);
+            const drag = ui.selectionDrag;
+            if (drag && (cellX - drag.startX !== drag.dx || cellY - drag.startY !== drag.dy)) {
+                drag.dx = cellX - drag.startX;
+                drag.dy = cellY - drag.startY;
+                const { x1, y1, x2, y2 } = drag.origin;
+                ui.selection = { x1: x1 + drag.dx, y1: y1 + drag.dy, x2: x2 + drag.dx, y2: y2 + drag.dy };
+                ui.draw();
+            } else if (ui.selectionStart) {
                 ui.selection = {
                     x1: ui.selectionStart.x,
                     y1: ui.selectionStart.y,
@@ -1178,19 +1636,44 @@ canvas.addEventListener('mousemove', e => {
     ui.mouse.lastY = y;
 });
 
-canvas.addEventListener('mousedown', () => {
+canvas.addEventListener('mousedown', e => {
+    if (e.altKey && ui.symmetry.group !== 'C1') {
+        // Alt+click moves the symmetry center to the nearest cell center, edge or corner
+        ui.symmetry.cx2 = Math.round(2 * ui.mouse.x / CONF.cellSize) + 2 * Math.round(ui.viewX);
+        ui.symmetry.cy2 = Math.round(2 * ui.mouse.y / CONF.cellSize) + 2 * Math.round(ui.viewY);
+        ui.draw();
+        return;
+    }
     ui.mouse.down = true;
     ui.mouse.lastX = ui.mouse.x;
     ui.mouse.lastY = ui.mouse.y;
 
     if (ui.mode === 'select') {
+        const { x: cellX, y: cellY } = ui.cellAt(ui.mouse.x, ui.mouse.y);
+        if (e.shiftKey && ui.selection) {
+            // Shift+click stretches the selection to this cell, even from far away
+            ui.selectionStart = { x: ui.selection.x1, y: ui.selection.y1 };
+            ui.selection = { ...ui.selection, x2: cellX, y2: cellY };
+            ui.draw();
+            return;
+        }
+        if (insideSelection(cellX, cellY)) {
+            // Grab the selection to move it; its cells arrive from the worker
+            ui.selectionDrag = {
+                origin: { ...ui.selection },
+                startX: cellX, startY: cellY,
+                dx: 0, dy: 0,
+                cells: [],
+            };
+            requestSelectionCells('drag');
+            return;
+        }
         // Start selection
-        const cellX = Math.floor(ui.mouse.x / CONF.cellSize);
-        const cellY = Math.floor(ui.mouse.y / CONF.cellSize);
         ui.selectionStart = { x: cellX, y: cellY };
         ui.selection = { x1: cellX, y1: cellY, x2: cellX, y2: cellY };
         ui.draw();
     } else if (ui.mode !== 'move') {
+        beginStroke();
         applyTool();
     }
 });
@@ -1200,7 +1683,24 @@ window.addEventListener('mouseup', () => {
         ui.selectionStart = null;
         // Keep selection visible after mouseup
     }
+    if (ui.selectionDrag) {
+        const { origin, dx, dy } = ui.selectionDrag;
+        ui.selectionDrag = null;
+        if (dx !== 0 || dy !== 0) {
+            ui.worker.postMessage({
+                type: 'moveSelection',
+                payload: {
+                    x: Math.min(origin.x1, origin.x2), y: Math.min(origin.y1, origin.y2),
+                    w: Math.abs(origin.x2 - origin.x1) + 1, h: Math.abs(origin.y2 - origin.y1) + 1,
+                    dx, dy,
+                }
+            });
+        }
+        ui.draw();
+    }
     ui.mouse.down = false;
+    endStroke();
+    finishShape();
 });
 
 // Wheel Zoom
@@ -1214,6 +1714,12 @@ canvas.addEventListener('wheel', e => {
     actions.setZoom(val);
 }, { passive: false });
 
+// Double-Click Select
+canvas.addEventListener('dblclick', e => {
+    if (ui.mode !== 'select' || e.shiftKey || e.altKey) return;
+    selectObjectAtCursor();
+});
+
 // =============================================================================
 // TOUCH SUPPORT
 // =============================================================================
@@ -1272,7 +1778,10 @@ canvas.addEventListener('touchstart', e => {
         ui.mouse.lastX = touch.startX;
         ui.mouse.lastY = touch.startY;
 
-        if (ui.mode !== 'move') applyTool();
+        if (ui.mode !== 'move') {
+            beginStroke();
+            applyTool();
+        }
     }
 }, { passive: false });
 
@@ -1335,6 +1844,8 @@ canvas.addEventListener('touchend', e => {
         touch.active = false;
         touch.pinching = false;
         ui.mouse.down = false;
+        endStroke();
+        finishShape();
     } else if (e.touches.length === 1 && touch.pinching) {
         // Was pinching, now one finger - switch to single touch mode
         touch.pinching = false;
@@ -1354,8 +1865,23 @@ canvas.addEventListener('touchcancel', () => {
     touch.active = false;
     touch.pinching = false;
     ui.mouse.down = false;
+    endStroke();
+    finishShape();
 }, { passive: false });
 
+// Group the cells of a draw/erase stroke into a single undo step
+function beginStroke() {
+    if (ui.mode !== 'draw' && ui.mode !== 'erase') return;
+    ui.worker.postMessage({ type: 'beginEditGroup' });
+    ui.strokeOpen = true;
+}
+
+function endStroke() {
+    if (!ui.strokeOpen) return;
+    ui.worker.postMessage({ type: 'endEditGroup' });
+    ui.strokeOpen = false;
+}
+
 function applyTool() {
     const x = Math.floor(ui.mouse.x / CONF.cellSize);
     const y = Math.floor(ui.mouse.y / CONF.cellSize);
@@ -1363,107 +1889,313 @@ function applyTool() {
 
     if (idx === -1) return;
 
-    if (ui.mode === 'draw') {
+    if ((ui.mode === 'draw' || ui.mode === 'erase') && ui.symmetry.group !== 'C1') {
+        const updates = symmetricUpdates([[x, y]], ui.mode === 'draw' ? 1 : 0);
+        ui.worker.postMessage({ type: 'setCells', payload: { updates }});
+    } else if (ui.mode === 'draw') {
         ui.worker.postMessage({ type: 'setCell', payload: { idx, val: 1 }});
     } else if (ui.mode === 'erase') {
         ui.worker.postMessage({ type: 'setCell', payload: { idx, val: 0 }});
     } else if (ui.mode === 'paste' && ui.mouse.down) {
-        const p = getCurrentPattern();
-        const updates = [];
-        for (let [px, py] of p) {
-            const targetIdx = ui.idx(x + px, y + py);
-            if (targetIdx !== -1) updates.push({ idx: targetIdx, val: 1 });
-        }
-        ui.worker.postMessage({ type: 'setCells', payload: { updates }});
+        const stamps = symmetricStamps(getCurrentPattern().map(([px, py]) => [x + px, y + py]));
+        const mode = document.getElementById('paste-mode').value;
+        ui.worker.postMessage({ type: 'setCells', payload: { stamps, mode }});
+        ui.mouse.down = false;
+    } else if (ui.mode === 'fill' && ui.mouse.down) {
+        fillAt(x, y);
         ui.mouse.down = false;
+    } else if (SHAPE_TOOLS.includes(ui.mode)) {
+        const start = ui.shape || { x0: x, y0: y };
+        if (ui.shape && ui.shape.x1 === x && ui.shape.y1 === y) return;
+        ui.shape = { ...start, x1: x, y1: y, cells: shapeCells(ui.mode, start.x0, start.y0, x, y) };
+        ui.draw();
     }
 }
 
+// Viewport cells plus their images under the drawing symmetry
+function mirrorViewCells(cells) {
+    const { group, cx2, cy2 } = ui.symmetry;
+    if (group === 'C1') return cells;
+    const ox = Math.round(ui.viewX);
+    const oy = Math.round(ui.viewY);
+    const global = cells.map(([x, y]) => [x + ox, y + oy]);
+    return Lib.symmetricCells(global, group, cx2, cy2).map(([x, y]) => [x - ox, y - oy]);
+}
+
+// setCells updates for viewport cells and their mirror images (images off screen are dropped)
+function symmetricUpdates(cells, val) {
+    const updates = [];
+    for (const [x, y] of mirrorViewCells(cells)) {
+        const idx = ui.idx(x, y);
+        if (idx !== -1) updates.push({ idx, val });
+    }
+    return updates;
+}
+
+// A pasted stamp in global coordinates, one list per mirror image so each
+// image can be pasted (and, in copy mode, cleared) whole, even off screen
+function symmetricStamps(cells) {
+    const { group, cx2, cy2 } = ui.symmetry;
+    const ox = Math.round(ui.viewX);
+    const oy = Math.round(ui.viewY);
+    const global = cells.map(([x, y]) => [x + ox, y + oy]);
+    return Lib.symmetricImages(global, group, cx2, cy2);
+}
+
+// Viewport cells of a line/rectangle/ellipse dragged from (x0, y0) to (x1, y1)
+function shapeCells(tool, x0, y0, x1, y1) {
+    switch (tool) {
+        case 'line': return Lib.lineCells(x0, y0, x1, y1);
+        case 'rect': return Lib.rectangleCells(x0, y0, x1, y1);
+        case 'fillrect': return Lib.rectangleCells(x0, y0, x1, y1, true);
+        case 'ellipse': return Lib.ellipseCells(x0, y0, x1, y1);
+        default: return [];
+    }
+}
+
+// Largest area the Fill tool previews or fills; this runs on every cell
+// the cursor enters
+const FILL_MAX_CELLS = 100_000;
+
+// Show the dead area a fill at (x, y) would cover; areas that reach the
+// edge of the view aren't enclosed and can't be filled
+function previewFill(x, y) {
+    if (!ui.lastGrid) return;
+    const { cells, bounded, truncated } = Lib.floodFillCells(
+        (vx, vy) => ui.isLive(vx, vy), x, y, ui.cols, ui.rows, FILL_MAX_CELLS);
+    ui.shape = { x0: x, y0: y, x1: x, y1: y, cells: bounded ? cells : [], bounded, truncated };
+    ui.draw();
+}
+
+function fillAt(x, y) {
+    previewFill(x, y);
+    const shape = ui.shape;
+    ui.shape = null;
+    if (!shape) return;
+    if (shape.truncated) {
+        toast(`Area is too large to fill (over ${FILL_MAX_CELLS.toLocaleString()} cells)`, true);
+        return;
+    }
+    if (!shape.bounded) {
+        toast('Area is not enclosed by live cells', true);
+        return;
+    }
+    drawCells(shape.cells);
+}
+
+// End a line/rectangle/ellipse drag
+function finishShape() {
+    const shape = ui.shape;
+    if (!shape || ui.mode === 'fill') return;
+    ui.shape = null;
+    drawCells(shape.cells);
+}
+
+// Send shape cells to the worker as one batch (one undo step)
+function drawCells(cells) {
+    const updates = symmetricUpdates(cells, 1);
+    if (updates.length > 0) {
+        ui.worker.postMessage({ type: 'setCells', payload: { updates }});
+    }
+    ui.draw();
+}
+
 // =============================================================================
 // SELECTION OPERATIONS
 // =============================================================================
 
 /**
- * Get live cell coordinates within selection (relative to selection origin).
- * @returns {[number, number][]} Array of [x, y] coords relative to selection top-left
+ * The selection as a global rectangle { x, y, w, h } for the worker's
+ * selection operations, or null (with a toast) if nothing is selected.
  */
-function getSelectedCells() {
+function selectionRect() {
     const sel = ui.selection;
-    if (!sel || !ui.lastGrid) return [];
-
-    const x1 = Math.min(sel.x1, sel.x2);
-    const y1 = Math.min(sel.y1, sel.y2);
-    const x2 = Math.max(sel.x1, sel.x2);
-    const y2 = Math.max(sel.y1, sel.y2);
-
-    const coords = [];
-    for (let vy = y1; vy <= y2; vy++) {
-        for (let vx = x1; vx <= x2; vx++) {
-            // Check if cell is alive in lastGrid (bitpacked)
-            const wordIdx = vy * ui.stride + Math.floor(vx / BITS_PER_WORD);
-            const bit = vx % BITS_PER_WORD;
-            if (wordIdx < ui.lastGrid.length && (ui.lastGrid[wordIdx] >>> bit) & 1) {
-                coords.push([vx - x1, vy - y1]);
-            }
-        }
+    if (!sel) {
+        toast('No selection', true);
+        return null;
     }
-    return coords;
+    return {
+        x: Math.min(sel.x1, sel.x2),
+        y: Math.min(sel.y1, sel.y2),
+        w: Math.abs(sel.x2 - sel.x1) + 1,
+        h: Math.abs(sel.y2 - sel.y1) + 1,
+    };
 }
 
 /**
- * Copy selection to clipboard as RLE.
+ * Run a worker selection operation ('fillSelection', 'invertSelection',
+ * 'clearOutsideSelection', 'evolveSelection', 'deleteSelection', ...) on
+ * the current selection.
+ */
+function selectionOp(type, extra = {}) {
+    const rect = selectionRect();
+    if (rect) ui.worker.postMessage({ type, payload: { ...rect, ...extra } });
+}
+
+/**
+ * Ask the worker for the live cells in the selection (relative to its
+ * top-left corner). They arrive in onSelectionCells, tagged with `purpose`:
+ * 'copy', 'cut', 'apgcode' or 'drag'.
  */
-async function copySelection() {
-    const coords = getSelectedCells();
+function requestSelectionCells(purpose) {
+    selectionOp('getSelectionCells', { purpose });
+}
+
+async function onSelectionCells({ purpose, rect, coords }) {
+    if (purpose === 'drag') {
+        if (ui.selectionDrag) {
+            ui.selectionDrag.cells = coords;
+            ui.draw();
+        }
+        return;
+    }
     if (coords.length === 0) {
         toast('No cells in selection', true);
         return;
     }
+    if (purpose === 'apgcode') {
+        // The worker evolves the cells to find the period, which decides the
+        // xs/xp/xq prefix; see copyApgcode
+        ui.worker.postMessage({ type: 'classifyCells', payload: coords });
+    } else if (purpose === 'cut') {
+        // Delete the copied rectangle even if the selection changes during the clipboard write
+        const selection = ui.selection;
+        if (!await copyCellsAsRLE(coords)) return;
+        ui.worker.postMessage({ type: 'deleteSelection', payload: rect });
+        if (ui.selection === selection) ui.selection = null;
+    } else {
+        await copyCellsAsRLE(coords);
+    }
+}
 
+async function copyCellsAsRLE(coords) {
     const rle = `x = 0, y = 0, rule = ${ui.currentRule}\n${Lib.coordsToRLE(coords)}`;
     try {
         await navigator.clipboard.writeText(rle);
         toast(`Copied ${coords.length} cells`);
+        return true;
     } catch {
         toast('Copy failed', true);
+        return false;
     }
 }
 
 /**
- * Delete cells in selection.
+ * Select everything: the worker replies with the exact live-cell bounding box.
  */
-function deleteSelection() {
-    const sel = ui.selection;
-    if (!sel) return;
+function selectAll() {
+    ui.worker.postMessage({ type: 'selectAll' });
+}
 
-    const x1 = Math.min(sel.x1, sel.x2);
-    const y1 = Math.min(sel.y1, sel.y2);
-    const x2 = Math.max(sel.x1, sel.x2);
-    const y2 = Math.max(sel.y1, sel.y2);
+/**
+ * Select the bounding box of the object under the cursor: live cells
+ * within the "Object distance" of each other count as one object.
+ */
+function selectObjectAtCursor() {
+    const { x, y } = ui.cellAt(ui.mouse.x, ui.mouse.y);
+    const dist = parseInt(document.getElementById('sel-object-dist').value) || 1;
+    ui.worker.postMessage({ type: 'selectObject', payload: { x, y, dist } });
+}
 
-    const updates = [];
-    for (let vy = y1; vy <= y2; vy++) {
-        for (let vx = x1; vx <= x2; vx++) {
-            const idx = ui.idx(vx, vy);
-            if (idx !== -1) {
-                updates.push({ idx, val: 0 });
-            }
-        }
+function onSelectionBox(box) {
+    if (!box) {
+        toast('Nothing to select', true);
+        return;
+    }
+    const { x1, y1, x2, y2, count, truncated } = box;
+    ui.selection = { x1, y1, x2, y2 };
+    ui.selectionStart = null;
+    ui.draw();
+    const size = `${x2 - x1 + 1}x${y2 - y1 + 1}`;
+    if (truncated) {
+        toast(`Object too large: selected only its first ${count} cells, ${size}`, true);
+    } else {
+        toast(count === null ? `Selected ${size}` : `Selected object: ${count} cells, ${size}`);
     }
+}
 
-    if (updates.length > 0) {
-        ui.worker.postMessage({ type: 'setCells', payload: { updates }});
-        toast(`Deleted ${(x2 - x1 + 1) * (y2 - y1 + 1)} cells`);
+/**
+ * Copy selection to clipboard as RLE.
+ */
+function copySelection() {
+    requestSelectionCells('copy');
+}
+
+/**
+ * Copy selection to clipboard as an apgcode.
+ */
+function copySelectionAsApgcode() {
+    requestSelectionCells('apgcode');
+}
+
+async function copyApgcode(code) {
+    if (!code) {
+        toast('Selection is not a still life, oscillator or spaceship', true);
+        return;
+    }
+    try {
+        await navigator.clipboard.writeText(code);
+        toast(`Copied ${code}`);
+    } catch {
+        toast('Copy failed', true);
+    }
+}
+
+/**
+ * Whether a global cell lies inside the current selection.
+ */
+function insideSelection(x, y) {
+    const sel = ui.selection;
+    if (!sel) return false;
+    return x >= Math.min(sel.x1, sel.x2) && x <= Math.max(sel.x1, sel.x2) &&
+        y >= Math.min(sel.y1, sel.y2) && y <= Math.max(sel.y1, sel.y2);
+}
+
+/**
+ * Rotate ('rotate', clockwise) or flip ('flipX', 'flipY') the selected cells
+ * in place. The worker replies with the rotated selection rectangle.
+ */
+function transformSelection(op) {
+    selectionOp('transformSelection', { op });
+}
+
+/**
+ * Read a pattern from the clipboard (RLE, plaintext, Life 1.06 or apgcode)
+ * and make it the paste stamp.
+ */
+async function pasteFromClipboard() {
+    let text;
+    try {
+        text = await navigator.clipboard.readText();
+    } catch {
+        toast('Clipboard read failed', true);
+        return;
     }
+    const result = parsePatternText(text);
+    if (!result.ok) {
+        toast(result.error, true);
+        return;
+    }
+    if (result.coords.length === 0) {
+        toast('No pattern on the clipboard', true);
+        return;
+    }
+    setCustomPattern(result.coords);
+    toast(`Pasting ${result.coords.length} cells (${PATTERN_FORMAT_LABELS[result.format]})`);
+}
+
+/**
+ * Delete cells in selection.
+ */
+function deleteSelection() {
+    if (ui.selection) selectionOp('deleteSelection');
 }
 
 /**
  * Cut selection (copy + delete).
  */
-async function cutSelection() {
-    await copySelection();
-    deleteSelection();
-    ui.selection = null;
+function cutSelection() {
+    requestSelectionCells('cut');
 }
 
 /**
@@ -1475,7 +2207,28 @@ function clearSelection() {
 }
 
 window.addEventListener('keydown', (e) => {
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+
+    // Ctrl+Z: Undo, Ctrl+Shift+Z / Ctrl+Y: Redo
+    if (e.ctrlKey && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) actions.redo(); else actions.undo();
+        return;
+    }
+    if (e.ctrlKey && e.key === 'y') {
+        e.preventDefault();
+        actions.redo();
+        return;
+    }
+
+    // Ctrl+Shift+C: Copy selection as apgcode
+    if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'c') {
+        if (ui.selection) {
+            e.preventDefault();
+            copySelectionAsApgcode();
+            return;
+        }
+    }
 
     // Ctrl+C: Copy selection
     if (e.ctrlKey && e.key === 'c') {
@@ -1486,6 +2239,20 @@ window.addEventListener('keydown', (e) => {
         }
     }
 
+    // Ctrl+A: Select all live cells
+    if (e.ctrlKey && e.key === 'a') {
+        e.preventDefault();
+        selectAll();
+        return;
+    }
+
+    // Ctrl+V: Paste pattern from clipboard
+    if (e.ctrlKey && e.key === 'v') {
+        e.preventDefault();
+        pasteFromClipboard();
+        return;
+    }
+
     // Ctrl+X: Cut selection
     if (e.ctrlKey && e.key === 'x') {
         if (ui.selection) {
@@ -1514,7 +2281,12 @@ window.addEventListener('keydown', (e) => {
         case 'c': case 'C':
             if (!e.ctrlKey) actions.clear();
             break;
-        case 'r': case 'R': actions.rotate(); break;
+        case 'r': case 'R':
+            if (e.shiftKey) transformSelection('rotate'); else actions.rotate();
+            break;
+        case 'x': case 'X': if (!e.ctrlKey) actions.flip('x'); break;
+        case 'y': case 'Y': if (!e.ctrlKey) actions.flip('y'); break;
+        case 'o': case 'O': if (!e.ctrlKey) selectObjectAtCursor(); break;
         case '[': {
             const current = parseInt(document.getElementById('speed-range').value);
             actions.setFps(Math.max(0, current - 3));
@@ -1529,6 +2301,7 @@ window.addEventListener('keydown', (e) => {
                 clearSelection();
             } else {
                 document.getElementById('help-modal').classList.remove('show');
+                document.getElementById('census-modal').classList.remove('show');
             }
             break;
         case 'Tab': e.preventDefault(); actions.toggleSidebar(); break;
@@ -1551,6 +2324,22 @@ function updateFpsDisplay(actual, target, chunks, historySize = 0) {
     fpsDisplay.innerHTML = text;
 }
 
+// Trigger a browser download of a text file
+function downloadText(text, filename, type = 'text/plain') {
+    downloadBlob(new Blob([text], { type }), filename);
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 const toast = (txt, isError = false) => {
     const el = document.getElementById('msg');
     el.innerText = txt;
@@ -1560,6 +2349,28 @@ const toast = (txt, isError = false) => {
 };
 
 // Rule Selection
+
+// Show a rule in the preset dropdown (or the custom field) and send it to the worker
+function selectRule(rule) {
+    const select = document.getElementById('rule-preset');
+    const customRow = document.getElementById('custom-rule-row');
+    const normalized = parseRule(rule) ? normalizeRule(rule) : rule;
+
+    // Check if it's a preset
+    const options = Array.from(select.options);
+    const match = options.find(o => o.value === normalized);
+
+    if (match) {
+        select.value = normalized;
+        customRow.style.display = 'none';
+    } else {
+        select.value = 'custom';
+        customRow.style.display = 'flex';
+        document.getElementById('custom-rule').value = normalized;
+    }
+    ui.worker.postMessage({ type: 'setRule', payload: rule });
+}
+
 document.getElementById('rule-preset').onchange = (e) => {
     const customRow = document.getElementById('custom-rule-row');
     if (e.target.value === 'custom') {
@@ -1585,9 +2396,216 @@ document.getElementById('custom-rule').addEventListener('keydown', (e) => {
 
 // IO
 document.getElementById('btn-export').onclick = () => {
-    ui.worker.postMessage({ type: 'export' });
+    const format = document.getElementById('export-format').value;
+    ui.worker.postMessage({ type: 'export', payload: { format } });
 };
 
+// PNG snapshots and GIF recordings are drawn from the worker's cells, not
+// the on-screen canvas. Both use the area, scale and grid settings of the
+// File panel; returns the worker payload, or null if there is no selection.
+function imageRequest() {
+    const scope = document.getElementById('png-scope').value;
+    const scale = parseFloat(document.getElementById('png-scale').value);
+    const payload = {
+        cellsPerPixel: scale < 1 ? Math.round(1 / scale) : 1,
+        pixelsPerCell: scale < 1 ? 1 : scale,
+        options: { grid: document.getElementById('png-grid').checked },
+    };
+    if (scope === 'all') {
+        payload.all = true;
+    } else if (scope === 'selection') {
+        const rect = selectionRect();
+        if (!rect) return null;
+        Object.assign(payload, rect);
+    } else {
+        Object.assign(payload, { x: Math.round(ui.viewX), y: Math.round(ui.viewY), w: ui.cols, h: ui.rows });
+    }
+    return payload;
+}
+
+document.getElementById('btn-export-png').onclick = () => {
+    const payload = imageRequest();
+    if (payload) ui.worker.postMessage({ type: 'renderImage', payload });
+};
+
+// Image size for sampled cells. Grid lines (at 4 px/cell and up) take the
+// first pixel row and column of each cell, plus a closing line.
+function sampleImageLayout(cols, rows, pixelsPerCell, gridLines) {
+    const grid = gridLines && pixelsPerCell >= 4;
+    return {
+        width: cols * pixelsPerCell + (grid ? 1 : 0),
+        height: rows * pixelsPerCell + (grid ? 1 : 0),
+        grid,
+    };
+}
+
+/**
+ * Paint sampled cells (see the worker's sampleRegion) as pixel rectangles
+ * in the current theme and age/heatmap/Generations coloring, calling
+ * fill(x, y, w, h, rgb) for each.
+ */
+function paintSample({ cells, ages, heat }, cols, states, pixelsPerCell, layout, fill) {
+    const deadRGB = hexToRGB(CONF.deadColor);
+    const liveRGB = hexToRGB(CONF.liveColor);
+    const useAges = CONF.useAgeColor && ages;
+    const useHeat = CONF.useHeatmap && heat;
+
+    if (layout.grid) fill(0, 0, layout.width, layout.height, hexToRGB(CONF.gridLineColor));
+    const inset = layout.grid ? 1 : 0;
+    for (let i = 0; i < cells.length; i++) {
+        const state = cells[i];
+        let rgb = deadRGB;
+        if (state === 1) {
+            rgb = useAges ? hexToRGB(getAgeColor(ages[i])) : liveRGB;
+        } else if (state > 1) {
+            rgb = getDyingRGB(state, states);
+        } else if (useHeat && heat[i] > 0) {
+            // Half-transparent over the background, as on screen
+            const hot = getHeatmapRGB(heat[i]);
+            rgb = {
+                r: Math.round((deadRGB.r + hot.r) / 2),
+                g: Math.round((deadRGB.g + hot.g) / 2),
+                b: Math.round((deadRGB.b + hot.b) / 2)
+            };
+        }
+        const x = (i % cols) * pixelsPerCell + inset;
+        const y = Math.floor(i / cols) * pixelsPerCell + inset;
+        fill(x, y, pixelsPerCell - inset, pixelsPerCell - inset, rgb);
+    }
+}
+
+function savePNG({ cols, rows, cells, ages, heat, states, pixelsPerCell, options }) {
+    const layout = sampleImageLayout(cols, rows, pixelsPerCell, options.grid);
+    const { width, height } = layout;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+    const data = image.data;
+
+    paintSample({ cells, ages, heat }, cols, states, pixelsPerCell, layout, (x0, y0, w, h, rgb) => {
+        for (let py = y0; py < y0 + h; py++) {
+            for (let px = x0; px < x0 + w; px++) {
+                const idx = (py * width + px) * 4;
+                data[idx] = rgb.r;
+                data[idx + 1] = rgb.g;
+                data[idx + 2] = rgb.b;
+                data[idx + 3] = 255;
+            }
+        }
+    });
+
+    ctx.putImageData(image, 0, 0);
+    canvas.toBlob(blob => {
+        if (!blob) {
+            toast('PNG export failed', true);
+            return;
+        }
+        downloadBlob(blob, `pattern_${Date.now()}.png`);
+        toast(`Exported PNG (${width}x${height})`);
+    }, 'image/png');
+}
+
+// GIF recording: the worker samples the frames in time slices, then they
+// are encoded here one at a time. Each half fills half of the progress bar,
+// and either can be cancelled.
+let recording = null; // { cancelled } while a recording is in progress
+
+document.getElementById('btn-record').onclick = () => {
+    if (recording) return;
+    const payload = imageRequest();
+    if (!payload) return;
+    payload.from = parseInt(document.getElementById('rec-from').value) || 0;
+    payload.to = parseInt(document.getElementById('rec-to').value) || 0;
+    payload.options.delay = parseInt(document.getElementById('rec-delay').value) || 100;
+    recording = { cancelled: false };
+    showRecordProgress(0);
+    ui.worker.postMessage({ type: 'recordFrames', payload });
+};
+
+document.getElementById('btn-record-cancel').onclick = () => {
+    if (!recording) return;
+    recording.cancelled = true;
+    ui.worker.postMessage({ type: 'recordCancel' });
+};
+
+// The worker stopped sampling frames on request
+function onRecordCancelled() {
+    recording = null;
+    showRecordProgress(null);
+    toast('Recording cancelled');
+}
+
+// Show the progress bar (0..1), or hide it with null
+function showRecordProgress(fraction) {
+    const bar = document.getElementById('record-progress');
+    bar.style.display = fraction === null ? 'none' : 'block';
+    bar.value = fraction || 0;
+    document.getElementById('btn-record-cancel').style.display = fraction === null ? 'none' : '';
+    document.getElementById('btn-record').disabled = fraction !== null;
+}
+
+function onRecordError(message) {
+    recording = null;
+    showRecordProgress(null);
+    toast(message, true);
+}
+
+async function encodeRecording({ frames, cols, rows, states, pixelsPerCell, options }) {
+    const job = recording;
+    if (!job) return;
+    const layout = sampleImageLayout(cols, rows, pixelsPerCell, options.grid);
+    const { width, height } = layout;
+    const delay = Math.max(2, Math.round(options.delay / 10)); // Hundredths of a second
+
+    // Colors get palette slots as they appear; past 256 the nearest is used
+    const palette = [];
+    const paletteIndex = new Map();
+    const indexOf = ({ r, g, b }) => {
+        const key = (r << 16) | (g << 8) | b;
+        let index = paletteIndex.get(key);
+        if (index !== undefined) return index;
+        if (palette.length < 256) {
+            index = palette.length;
+            palette.push([r, g, b]);
+        } else {
+            let best = Infinity;
+            palette.forEach(([pr, pg, pb], i) => {
+                const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+                if (d < best) { best = d; index = i; }
+            });
+        }
+        paletteIndex.set(key, index);
+        return index;
+    };
+
+    const parts = [];
+    for (let f = 0; f < frames.length; f++) {
+        if (job.cancelled) {
+            onRecordCancelled();
+            return;
+        }
+        const indices = new Uint8Array(width * height);
+        paintSample(frames[f], cols, states, pixelsPerCell, layout, (x0, y0, w, h, rgb) => {
+            const index = indexOf(rgb);
+            for (let py = y0; py < y0 + h; py++) {
+                indices.fill(index, py * width + x0, py * width + x0 + w);
+            }
+        });
+        parts.push(Lib.encodeGIFFrame(indices, width, height, delay));
+        showRecordProgress(0.5 + (f + 1) / frames.length / 2);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    parts.unshift(Lib.encodeGIFHeader(width, height, palette));
+    parts.push(Lib.encodeGIFTrailer());
+    recording = null;
+    showRecordProgress(null);
+    downloadBlob(new Blob(parts, { type: 'image/gif' }), `pattern_${Date.now()}.gif`);
+    toast(`Recorded GIF (${frames.length} frames, ${width}x${height})`);
+}
+
 document.getElementById('btn-import-trigger').onclick = () => {
     document.getElementById('file-import').click();
 };
@@ -1619,13 +2637,20 @@ document.getElementById('file-import').onchange = (e) => {
         const content = ev.target.result;
         const ext = file.name.split('.').pop().toLowerCase();
 
-        // Detect format: MC, RLE, or JSON
+        // Detect format: MC and JSON here, the text formats by their headers
         if (ext === 'mc' || content.startsWith('[M2]')) {
             loadFromMacrocell(content);
-        } else if (ext === 'rle' || ext === 'txt' || (content.includes('!') && !content.startsWith('{'))) {
-            loadFromRLE(content);
-        } else {
+        } else if (ext === 'json' || content.trimStart().startsWith('{')) {
             loadFromJSON(content);
+        } else {
+            const format = detectPatternFormat(content);
+            if (format === 'apgcode') {
+                loadFromApgcode(content);
+            } else if (format === 'rle') {
+                loadFromRLE(content);
+            } else {
+                loadFromCellList(content, format);
+            }
         }
     };
     reader.readAsText(file);
@@ -1661,17 +2686,110 @@ function loadFromRLE(rleString) {
             data[wordIdx] |= (1 << bit);
         }
 
+        // The rule goes first so a bounded grid doesn't clip the new pattern
+        const warnings = [];
+        if (result.rule) {
+            if (parseRule(result.rule)) {
+                if (normalizeRule(result.rule) !== ui.currentRule) selectRule(result.rule);
+            } else {
+                warnings.push(`unsupported rule ${result.rule}`);
+            }
+        }
+        if (result.width !== null && (result.width !== w || result.height !== h)) {
+            warnings.push(`header says ${result.width}x${result.height}, pattern is ${w}x${h}`);
+        }
+
+        // Golly's #CXRLE line restores the position and generation. Without
+        // one, a pattern for a bounded grid is centered in it as Golly does,
+        // since the grid itself is centered on the origin.
+        const parsedRule = result.rule && parseRule(result.rule);
+        let x = 0, y = 0;
+        if (result.position) {
+            ({ x, y } = result.position);
+        } else if (parsedRule && parsedRule.topology) {
+            x = -Math.floor((result.width ?? w) / 2);
+            y = -Math.floor((result.height ?? h) / 2);
+        }
         ui.worker.postMessage({
             type: 'load',
-            payload: { w, h, data, packed: true }
+            payload: { w, h, data, packed: true, x, y, generation: result.generation || 0, metadata: result.metadata }
         });
-        toast("RLE Loaded");
+        if (warnings.length > 0) {
+            toast(`RLE Loaded (${warnings.join('; ')})`, true);
+        } else {
+            toast("RLE Loaded");
+        }
     } catch (e) {
         console.error(e);
         toast("Invalid RLE", true);
     }
 }
 
+function loadFromApgcode(code) {
+    const coords = apgcodeToCoords(code);
+    if (!coords || coords.length === 0) {
+        toast('Invalid apgcode', true);
+        return;
+    }
+    loadFromRLE(Lib.coordsToRLE(coords));
+}
+
+// Pattern info: name, author and comments kept by the worker for export
+const metaFields = {
+    name: document.getElementById('meta-name'),
+    author: document.getElementById('meta-author'),
+    comments: document.getElementById('meta-comments'),
+};
+
+function showMetadata({ name, author, comments }) {
+    metaFields.name.value = name;
+    metaFields.author.value = author;
+    metaFields.comments.value = comments.join('\n');
+}
+
+function sendMetadata() {
+    const comments = metaFields.comments.value.replace(/\s+$/, '');
+    ui.worker.postMessage({
+        type: 'setMetadata',
+        payload: {
+            name: metaFields.name.value,
+            author: metaFields.author.value,
+            comments: comments ? comments.split('\n') : [],
+        }
+    });
+}
+
+for (const field of Object.values(metaFields)) {
+    field.addEventListener('change', sendMetadata);
+}
+
+// Load plaintext or Life 1.05/1.06; the Life formats keep their coordinates
+function loadFromCellList(text, format) {
+    const result = parsePatternText(text, true);
+    if (!result.ok) {
+        toast(result.error, true);
+        return;
+    }
+    if (result.coords.length === 0) {
+        toast('No cells found', true);
+        return;
+    }
+
+    if (result.rule) {
+        if (!parseRule(result.rule)) {
+            toast(`Unsupported rule ${result.rule}`, true);
+        } else if (normalizeRule(result.rule) !== ui.currentRule) {
+            selectRule(result.rule);
+        }
+    }
+    const flat = new Int32Array(result.coords.flat());
+    ui.worker.postMessage({
+        type: 'load',
+        payload: { coords: flat, metadata: result.metadata }
+    }, [flat.buffer]);
+    toast(`Loaded ${PATTERN_FORMAT_LABELS[format]} (${result.coords.length} cells)`);
+}
+
 const MC_MAX_CELLS = 10_000_000;
 const MC_MAX_NODES = 1_000_000;
 
@@ -1709,8 +2827,11 @@ function loadFromMacrocell(mcString) {
             return { level: 3, grid }; // Level 3 = 2^3 = 8x8 leaf
         }
 
+        let rule = null;
+
         for (let line of lines) {
             line = line.trim();
+            if (line.startsWith('#R')) rule = line.slice(2).trim();
             if (!line || line.startsWith('[') || line.startsWith('#')) continue;
 
             // Check if it's an internal node (starts with number)
@@ -1783,32 +2904,20 @@ function loadFromMacrocell(mcString) {
 
         if (coords.length === 0) throw new Error("No live cells found");
 
-        // Normalize to origin
-        let minX = Infinity, minY = Infinity, maxX = 0, maxY = 0;
-        for (let [x, y] of coords) {
-            minX = Math.min(minX, x);
-            minY = Math.min(minY, y);
-            maxX = Math.max(maxX, x);
-            maxY = Math.max(maxY, y);
-        }
-
-        const w = maxX - minX + 1;
-        const h = maxY - minY + 1;
-        const stride = Math.ceil(w / BITS_PER_WORD);
-        const data = new Array(stride * h).fill(0);
-
-        for (let [x, y] of coords) {
-            const nx = x - minX;
-            const ny = y - minY;
-            const wordIdx = ny * stride + Math.floor(nx / BITS_PER_WORD);
-            const bit = nx % BITS_PER_WORD;
-            data[wordIdx] |= (1 << bit);
+        // Sparse transfer keeps Golly's placement (root centered on the origin)
+        // without packing a dense grid for patterns spread over huge areas
+        const offset = rootSize / 2;
+        const flat = new Int32Array(coords.length * 2);
+        for (let i = 0; i < coords.length; i++) {
+            flat[i * 2] = coords[i][0] - offset;
+            flat[i * 2 + 1] = coords[i][1] - offset;
         }
 
+        if (rule && parseRule(rule) && normalizeRule(rule) !== ui.currentRule) selectRule(rule);
         ui.worker.postMessage({
             type: 'load',
-            payload: { w, h, data, packed: true }
-        });
+            payload: { coords: flat, metadata: parsePatternMetadata(mcString) }
+        }, [flat.buffer]);
         toast(`Loaded ${coords.length} cells`);
     } catch (e) {
         console.error(e);
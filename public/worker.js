@@ -5,7 +5,11 @@
  * Import shared utilities from lib.js
  */
 importScripts('lib.js');
-const { parseRule: libParseRule, popcount32 } = Lib;
+const {
+    parseRule: libParseRule, normalizeRule, buildRuleTable, describePeriod,
+    createRng, coordsToApgcode, apgcodeToCoords, coordsToRLE, popcount32,
+    coordsToPlaintext, coordsToLife105, coordsToLife106, formatCXRLE, formatPatternMetadata
+} = Lib;
 
 /**
  * COORDINATE SYSTEMS:
@@ -54,13 +58,41 @@ const CONFIG = {
     HISTORY_MAX: 100,
     HISTORY_DEFAULT: 20,
     HEATMAP_BOOST: 5,    // Activity increment per state change
+    EDIT_HISTORY_MAX: 100, // Undoable edits kept
+    SELECTION_EVOLVE_MAX_GENS: 10_000,
+    SELECT_OBJECT_MAX_DIST: 10,
+    SELECT_OBJECT_MAX_CELLS: 1_000_000, // Object selection stops growing here
+    IMAGE_MAX_SIDE: 16384, // PNG export limits (browsers cap canvas size)
+    IMAGE_MAX_PIXELS: 64 * 1024 * 1024,
+    RECORD_MAX_FRAMES: 1000,
+    RECORD_MAX_SIDE: 65535, // GIF stores width and height in 16 bits
+    RECORD_MAX_PIXELS: 4 * 1024 * 1024, // Per GIF frame
+    RECORD_MAX_SAMPLES: 64 * 1024 * 1024, // Sampled cells over all frames
+    RECORD_BATCH_MS: 50,   // Work slice between recording progress updates
+    HASHLIFE_MAX_NODES: 1_000_000, // Memo table is flushed when it grows past this
+    HASHLIFE_MAX_STEP_EXP: 20,     // Largest 2^n step exposed to the UI
+    TOPOLOGY_RANDOMIZE_MAX_CELLS: 4_000_000, // Larger bounded grids only randomize the viewport
+    PERIOD_DEFAULT_GENS: 10_000, // Generations searched for a repeat by default
+    PERIOD_MAX_GENS: 1_000_000,
+    PERIOD_BATCH_MS: 50,     // Work slice between period search progress updates
+    SOUP_SIZE: 16,           // Soups are SOUP_SIZE x SOUP_SIZE
+    SOUP_DENSITY: 0.5,
+    SOUP_MAX_GENS: 10_000,   // Soups still active after this are counted as unstable
+    SOUP_MAX_POP: 10_000,    // ...as are soups that explode
+    SOUP_MAX_PERIOD: 60,     // Longest population period accepted as settled
+    OBJECT_MAX_PERIOD: 120,  // Objects that don't repeat within this are unclassified
+    SOUP_BATCH_MS: 50,       // Work slice between census updates
 };
 
-// Cellular Automaton Rules (Life-like: B.../S...)
+// Cellular Automaton Rules (Life-like: B.../S..., Generations: B.../S.../C...)
 // Default: Conway's Game of Life (B3/S23)
 let birthRule = [false, false, false, true, false, false, false, false, false]; // B3
 let survivalRule = [false, false, true, true, false, false, false, false, false]; // S23
+let ruleStates = 2; // Generations state count (2 = Life-like, no dying states)
+let ruleIsotropic = false; // Non-totalistic (Hensel) rules use ruleTable instead of SWAR masks
+let ruleTable = buildRuleTable(libParseRule('B3/S23')); // 9-bit neighborhood -> next state
 let currentRuleString = 'B3/S23';
+let topology = null; // Bounded grid { type, width, height, twist, left, top } or null for the infinite plane
 
 // Rule presets
 const RULE_PRESETS = {
@@ -74,6 +106,9 @@ const RULE_PRESETS = {
     'B35678/S5678': { name: 'Diamoeba', birth: [3,5,6,7,8], survival: [5,6,7,8] },
     'B4678/S35678': { name: 'Anneal', birth: [4,6,7,8], survival: [3,5,6,7,8] },
     'B34/S34': { name: '34 Life', birth: [3,4], survival: [3,4] },
+    'B2/S/C3': { name: "Brian's Brain", birth: [2], survival: [], states: 3 },
+    'B2/S345/C4': { name: 'Star Wars', birth: [2], survival: [3,4,5], states: 4 },
+    'B34/S12/C3': { name: 'Frogs', birth: [3,4], survival: [1,2], states: 3 },
 };
 
 // parseRule imported from lib.js as libParseRule
@@ -84,7 +119,15 @@ function setRule(ruleStr) {
     if (parsed) {
         birthRule = parsed.birth;
         survivalRule = parsed.survival;
-        currentRuleString = ruleStr.toUpperCase();
+        ruleIsotropic = parsed.isotropic;
+        ruleTable = buildRuleTable(parsed);
+        if (parsed.states !== ruleStates) {
+            ruleStates = parsed.states;
+            dyingChunks.clear(); // Old dying states may not exist in the new rule
+        }
+        setTopology(parsed.topology);
+        currentRuleString = normalizeRule(ruleStr);
+        hlReset(); // Memoized results depend on the rule
         return true;
     }
     return false;
@@ -97,6 +140,10 @@ const BITS = CONFIG.BITS_PER_WORD;
 // State
 let chunks = new Map(); // Key: "cx,cy", Value: Uint32Array(32)
 
+// Generations dying states, stored next to the live bit-planes
+// Only chunks with at least one dying cell are present
+let dyingChunks = new Map(); // Key: "cx,cy", Value: Uint8Array(1024) - 0 or state 2..ruleStates-1
+
 // Viewport State (What the user sees)
 let viewX = 0;
 let viewY = 0;
@@ -105,6 +152,9 @@ let viewH = 0; // In cells
 
 let running = false;
 let generation = 0;
+
+// Name, author and comments of the loaded pattern, written back on export
+let patternMetadata = { name: '', author: '', comments: [] };
 let fps = 30;
 let timerID = null;
 
@@ -121,7 +171,7 @@ let bboxDirty = true; // Forces recalculation when chunks are modified outside s
 // Each entry stores only chunks that changed from the previous state
 let historyEnabled = false;
 let historyMaxSize = 20;
-let historyBuffer = []; // Array of {delta: Map<key, {old: Uint32Array|null, new: Uint32Array|null}>, generation, population}
+let historyBuffer = []; // Array of {delta: Map<key, {old: Uint32Array|null, new: Uint32Array|null}>, generation, population, dying}
 
 // Age tracking (optional, for visualization)
 // Uses parallel chunk structure: Map<"cx,cy", Uint8Array(1024)> where 1024 = 32x32 cells
@@ -134,6 +184,11 @@ let heatmapChunks = new Map(); // Key: "cx,cy", Value: Uint8Array(1024) - activi
 let heatmapDecayCounter = 0;
 const HEATMAP_DECAY_INTERVAL = 10; // Decay every N steps
 
+// Simulation backend: 'swar' steps chunks one generation at a time,
+// 'hashlife' advances a memoized quadtree 2^hashlifeStepExp generations per step
+let engine = 'swar';
+let hashlifeStepExp = 0;
+
 // Message handlers registry
 const messageHandlers = {
     init(payload) {
@@ -219,63 +274,345 @@ const messageHandlers = {
         // UI sends 'idx' as flat view index, convert to global
         const vx = payload.idx % viewW;
         const vy = Math.floor(payload.idx / viewW);
+        beginEdit();
         setCell(viewX + vx, viewY + vy, payload.val);
+        commitEdit();
         bboxDirty = true;
         sendUpdate();
     },
     
     setCells(payload) {
-        if (payload.updates) {
-            for (let u of payload.updates) {
-                const vx = u.idx % viewW;
-                const vy = Math.floor(u.idx / viewW);
-                setCell(viewX + vx, viewY + vy, u.val);
-            }
+        if (payload.stamps) {
+            // Stamps are lists of global cells, so parts off screen are pasted too
+            beginEdit();
+            pasteCells(payload.stamps, payload.mode);
+            commitEdit();
+            bboxDirty = true;
+            sendUpdate();
+        } else if (payload.updates) {
+            beginEdit();
+            for (const u of payload.updates) setCell(viewX + u.idx % viewW, viewY + Math.floor(u.idx / viewW), u.val);
+            commitEdit();
             bboxDirty = true;
             sendUpdate();
         }
     },
     
+    // Rotate (clockwise, about the center) or flip the selection
+    transformSelection(payload) {
+        const { x, y, w, h, op } = payload;
+        const rect = transformRegion(x, y, w, h, op);
+        self.postMessage({
+            type: 'selectionTransformed',
+            payload: { x1: rect.x, y1: rect.y, x2: rect.x + rect.w - 1, y2: rect.y + rect.h - 1 }
+        });
+        bboxDirty = true;
+        sendUpdate();
+    },
+    
+    // Selection operations below take a global rectangle { x, y, w, h }
+    
+    fillSelection(payload) {
+        const { x, y, w, h, density } = payload;
+        beginEdit();
+        updateRegionRows(x, y, w, h, (row, mask) => {
+            let word = 0;
+            for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+                if ((mask >>> lx) & 1 && Math.random() < density) word |= 1 << lx;
+            }
+            return word;
+        });
+        finishSelectionEdit();
+    },
+    
+    invertSelection(payload) {
+        const { x, y, w, h } = payload;
+        beginEdit();
+        updateRegionRows(x, y, w, h, row => ~row);
+        finishSelectionEdit();
+    },
+    
+    clearOutsideSelection(payload) {
+        const { x, y, w, h } = payload;
+        beginEdit(true);
+        // Clip copies: the edit snapshot still holds the old arrays
+        const kept = new Map();
+        for (const [key, chunk] of chunks) kept.set(key, new Uint32Array(chunk));
+        clipToRect(kept, x, y, w, h);
+        chunks = kept;
+        clipDyingToRect(x, y, w, h);
+        finishSelectionEdit();
+    },
+    
+    // Run the selection on its own for `gens` generations; the rest of the
+    // universe is frozen and cells leaving the rectangle are lost
+    evolveSelection(payload) {
+        if (ruleStates > 2) {
+            postEditResult(false, 'Evolving a selection needs a Life-like rule');
+            return;
+        }
+        const { x, y, w, h } = payload;
+        const gens = Math.max(1, Math.min(CONFIG.SELECTION_EVOLVE_MAX_GENS, Math.floor(payload.gens) || 1));
+        const cells = regionCells(x, y, w, h);
+        let state = new Map();
+        for (const [dx, dy] of cells) setCellIn(state, x + dx, y + dy);
+        for (let i = 0; i < gens; i++) {
+            state = computeNextGeneration(state);
+            clipToRect(state, x, y, w, h);
+        }
+        
+        beginEdit();
+        for (const [dx, dy] of cells) setCell(x + dx, y + dy, 0);
+        forEachLiveCell(state, (gx, gy) => setCell(gx, gy, 1));
+        finishSelectionEdit();
+    },
+    
+    // Move the selected cells by (dx, dy) as one edit
+    moveSelection(payload) {
+        const { x, y, w, h } = payload;
+        const cells = regionCells(x, y, w, h);
+        beginEdit();
+        for (const [dx, dy] of cells) setCell(x + dx, y + dy, 0);
+        for (const [dx, dy] of cells) setCell(x + dx + payload.dx, y + dy + payload.dy, 1);
+        finishSelectionEdit();
+    },
+    
+    deleteSelection(payload) {
+        const { x, y, w, h } = payload;
+        const cells = regionCells(x, y, w, h);
+        beginEdit();
+        for (const [dx, dy] of cells) setCell(x + dx, y + dy, 0);
+        finishSelectionEdit();
+        postEditResult(true, `Deleted ${cells.length} cells`);
+    },
+    
+    // Sample a region for a PNG snapshot: the given { x, y, w, h } or, with
+    // `all`, the live-cell bounding box. `options` are echoed back.
+    renderImage(payload) {
+        const { options } = payload;
+        const rect = payload.all ? getExactBbox() : payload;
+        if (!rect) {
+            self.postMessage({ type: 'imageError', payload: 'Nothing to export' });
+            return;
+        }
+        
+        const cellsPerPixel = Math.max(1, Math.floor(payload.cellsPerPixel) || 1);
+        const pixelsPerCell = Math.max(1, Math.floor(payload.pixelsPerCell) || 1);
+        const gridLine = imageGridLine(options, pixelsPerCell);
+        const width = Math.ceil(rect.w / cellsPerPixel) * pixelsPerCell + gridLine;
+        const height = Math.ceil(rect.h / cellsPerPixel) * pixelsPerCell + gridLine;
+        if (width > CONFIG.IMAGE_MAX_SIDE || height > CONFIG.IMAGE_MAX_SIDE ||
+            width * height > CONFIG.IMAGE_MAX_PIXELS) {
+            self.postMessage({
+                type: 'imageError',
+                payload: `Image would be ${width}x${height} pixels; choose a smaller scale or area`
+            });
+            return;
+        }
+        
+        const sample = sampleRegion(rect.x, rect.y, rect.w, rect.h, cellsPerPixel);
+        const transferables = [sample.cells.buffer];
+        if (sample.ages) transferables.push(sample.ages.buffer);
+        if (sample.heat) transferables.push(sample.heat.buffer);
+        self.postMessage({
+            type: 'imageData',
+            payload: { ...sample, states: ruleStates, pixelsPerCell, options }
+        }, transferables);
+    },
+    
+    // Sample generations `from`..`to` of a region for an animation, leaving
+    // the universe as it was. The region is { x, y, w, h } or, with `all`,
+    // the live-cell bounding box over the whole range. `options` are echoed back.
+    // Runs in time slices (see recordBatch) and can be stopped with recordCancel.
+    recordFrames(payload) {
+        const from = Math.floor(payload.from);
+        const to = Math.floor(payload.to);
+        if (!(from >= generation)) {
+            self.postMessage({ type: 'recordError', payload: `Recording must start at generation ${generation} or later` });
+            return;
+        }
+        if (!(to >= from) || to - from >= CONFIG.RECORD_MAX_FRAMES) {
+            self.postMessage({ type: 'recordError', payload: `Record 1 to ${CONFIG.RECORD_MAX_FRAMES} generations` });
+            return;
+        }
+        
+        stopRecording();
+        const frameCount = to - from + 1;
+        const job = {
+            payload, from, to, rule: currentRuleString,
+            bounds: payload.all ? { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity } : null,
+            start: null, frames: [], transferables: [],
+            done: 0, total: from - generation + (payload.all ? 2 : 1) * frameCount,
+            state: saveRecordingState(), timer: null,
+        };
+        if (!payload.all) {
+            const error = recordLayout(job, payload);
+            if (error) {
+                self.postMessage({ type: 'recordError', payload: error });
+                return;
+            }
+        }
+        // Edits between slices change chunk arrays in place
+        job.state.chunks = new Map([...chunks].map(([key, chunk]) => [key, chunk.slice()]));
+        recordJob = job;
+        recordBatch();
+    },
+    
+    recordCancel() {
+        if (!recordJob) return;
+        stopRecording();
+        self.postMessage({ type: 'recordCancelled' });
+    },
+    
+    // Select the exact bounding box of all live cells
+    selectAll() {
+        postSelectionBox(getExactBbox());
+    },
+    
+    // Select the bounding box of the object at global (x, y)
+    selectObject(payload) {
+        const dist = Math.max(1, Math.min(CONFIG.SELECT_OBJECT_MAX_DIST, Math.floor(payload.dist) || 1));
+        const { cells, truncated } = connectedCells(payload.x, payload.y, dist);
+        if (cells.length === 0) {
+            postSelectionBox(null);
+            return;
+        }
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const [x, y] of cells) {
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+        postSelectionBox({ x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 }, cells.length, truncated);
+    },
+    
+    // Live cells of the selection, relative to its corner; `purpose` and the rectangle are echoed back
+    getSelectionCells(payload) {
+        const { x, y, w, h, purpose } = payload;
+        self.postMessage({
+            type: 'selectionCells',
+            payload: { purpose, rect: { x, y, w, h }, coords: regionCells(x, y, w, h) }
+        });
+    },
+    
+    // Everything between these two (a draw or erase stroke) is one undo step
+    beginEditGroup() {
+        if (running) return; // Strokes over a running world are undone cell by cell
+        beginEdit();
+        editGroupOpen = true;
+    },
+    
+    endEditGroup() {
+        editGroupOpen = false;
+        commitEdit();
+    },
+    
+    undo() {
+        const entry = editUndoStack[editUndoStack.length - 1];
+        if (!entry) {
+            postEditResult(false, 'Nothing to undo');
+        } else if (entry.genAfter !== generation) {
+            postEditResult(false, `Undo needs generation ${entry.genAfter}`);
+        } else {
+            editRedoStack.push(editUndoStack.pop());
+            applyEdit(entry, true);
+            postEditResult(true, 'Undone');
+            sendUpdate();
+        }
+    },
+    
+    redo() {
+        const entry = editRedoStack[editRedoStack.length - 1];
+        if (!entry) {
+            postEditResult(false, 'Nothing to redo');
+        } else if (entry.genBefore !== generation) {
+            postEditResult(false, `Redo needs generation ${entry.genBefore}`);
+        } else {
+            editUndoStack.push(editRedoStack.pop());
+            applyEdit(entry, false);
+            postEditResult(true, 'Redone');
+            sendUpdate();
+        }
+    },
+    
     clear() {
+        beginEdit(true);
         chunks.clear();
+        dyingChunks.clear();
         ageChunks.clear();
         generation = 0;
         totalPopulation = 0;
         bboxDirty = true;
         historyBuffer = [];
         running = false;
+        commitEdit();
         sendUpdate();
     },
     
     randomize(payload) {
+        beginEdit(true);
         chunks.clear();
+        dyingChunks.clear();
         ageChunks.clear();
         historyBuffer = [];
         randomize(payload, true);
         recalculateTotalPopulation();
         bboxDirty = true;
+        commitEdit();
         sendUpdate();
     },
     
     load(payload) {
+        beginEdit(true);
         chunks.clear();
+        dyingChunks.clear();
         ageChunks.clear();
         if (payload.packed) {
-            loadFlatData(payload.data, payload.w, payload.h);
+            loadFlatData(payload.data, payload.w, payload.h, payload.x || 0, payload.y || 0);
+        } else if (payload.coords) {
+            loadCoords(payload.coords);
         }
-        generation = 0;
+        generation = payload.generation || 0;
+        patternMetadata = payload.metadata || { name: '', author: '', comments: [] };
+        self.postMessage({ type: 'metadata', payload: patternMetadata });
         recalculateTotalPopulation();
         bboxDirty = true;
+        commitEdit();
         sendUpdate();
     },
     
-    export() {
-        exportWorld();
+    setMetadata(payload) {
+        patternMetadata = {
+            name: String(payload.name || '').trim(),
+            author: String(payload.author || '').trim(),
+            comments: Array.isArray(payload.comments) ? payload.comments.map(String) : [],
+        };
+    },
+    
+    export(payload) {
+        const format = payload && payload.format;
+        if (format === 'mc') {
+            exportMacrocell();
+        } else if (format === 'cells' || format === 'life105' || format === 'life106') {
+            exportCellList(format);
+        } else {
+            exportWorld();
+        }
     },
     
     setRule(payload) {
         if (setRule(payload)) {
             self.postMessage({ type: 'ruleChanged', payload: currentRuleString });
+            if (engine === 'hashlife' && !hashlifeSupported()) {
+                engine = 'swar';
+                hlReset();
+                self.postMessage({
+                    type: 'engineChanged',
+                    payload: { engine, stepExp: hashlifeStepExp, reason: `HashLife does not support ${currentRuleString}` }
+                });
+            }
+            sendUpdate(); // A bounded grid may have clipped cells
         } else {
             self.postMessage({ type: 'ruleError', payload: 'Invalid rule format' });
         }
@@ -285,6 +622,19 @@ const messageHandlers = {
         self.postMessage({ type: 'presets', payload: RULE_PRESETS });
     },
     
+    setEngine(payload) {
+        if (payload.engine === 'hashlife' && !hashlifeSupported()) {
+            engine = 'swar';
+            self.postMessage({ type: 'engineError', payload: `HashLife does not support ${currentRuleString}` });
+            return;
+        }
+        engine = payload.engine === 'hashlife' ? 'hashlife' : 'swar';
+        const exp = parseInt(payload.stepExp) || 0;
+        hashlifeStepExp = Math.max(0, Math.min(CONFIG.HASHLIFE_MAX_STEP_EXP, exp));
+        if (engine === 'swar') hlReset(); // Release the memo table
+        self.postMessage({ type: 'engineChanged', payload: { engine, stepExp: hashlifeStepExp } });
+    },
+    
     jumpToGen(payload) {
         const targetGen = payload;
         if (targetGen <= generation) {
@@ -292,6 +642,14 @@ const messageHandlers = {
             return;
         }
         const steps = targetGen - generation;
+        
+        if (engine === 'hashlife' && hashlifeSupported()) {
+            hashlifeJump(steps, targetGen);
+            sendUpdate();
+            self.postMessage({ type: 'jumpComplete', payload: generation });
+            return;
+        }
+        
         const wasHistoryEnabled = historyEnabled;
         historyEnabled = false;
         
@@ -308,6 +666,64 @@ const messageHandlers = {
         historyEnabled = wasHistoryEnabled;
         sendUpdate();
         self.postMessage({ type: 'jumpComplete', payload: generation });
+    },
+    
+    // Name a pattern by its apgcode (payload: [x, y] cells)
+    classifyCells(payload) {
+        const result = ruleStates === 2 ? classifyObject(payload) : null;
+        self.postMessage({
+            type: 'apgcode',
+            payload: result ? objectApgcode(result).code : null
+        });
+    },
+    
+    soupSearchStart(payload = {}) {
+        if (ruleStates > 2 || birthRule[0]) {
+            self.postMessage({ type: 'soupSearchError', payload: `Soup search does not support ${currentRuleString}` });
+            return;
+        }
+        stopSoupSearch();
+        soupSearch = {
+            seed: String(payload.seed || Date.now().toString(36)),
+            rule: currentRuleString,
+            target: Math.max(0, parseInt(payload.soups) || 0), // 0 = until stopped
+            soups: 0,
+            unstable: 0,
+            census: new Map(),
+            timer: null,
+        };
+        soupSearchBatch();
+    },
+    
+    soupSearchStop() {
+        stopSoupSearch();
+        postCensus();
+    },
+    
+    // Look for the first repeated state. With `advance` the universe is left at
+    // the repeat ("run until periodic"), otherwise it is untouched. Runs in
+    // time slices (see periodBatch) and can be stopped with analyzePeriodCancel.
+    analyzePeriod(payload = {}) {
+        stopPeriodSearch();
+        const maxGens = Math.max(1, Math.min(CONFIG.PERIOD_MAX_GENS,
+            parseInt(payload.maxGens) || CONFIG.PERIOD_DEFAULT_GENS));
+        // Edits between slices change chunk arrays in place
+        const start = saveUniverse();
+        start.chunks = new Map([...chunks].map(([key, chunk]) => [key, chunk.slice()]));
+        periodJob = {
+            maxGens,
+            translate: payload.translate !== false,
+            advance: !!payload.advance,
+            seen: new Map(), // fingerprint -> { gen, minX, minY }
+            start, universe: start, steps: 0, candidate: null, timer: null,
+        };
+        periodBatch();
+    },
+    
+    analyzePeriodCancel() {
+        if (!periodJob) return;
+        stopPeriodSearch();
+        self.postMessage({ type: 'periodResult', payload: { found: false, cancelled: true } });
     }
 };
 
@@ -337,11 +753,16 @@ function getChunk(cx, cy, create = false) {
 }
 
 function setCell(x, y, val) {
+    if (topology && !insideTopology(x, y)) return;
+    
     const cx = Math.floor(x / CHUNK_SIZE);
     const cy = Math.floor(y / CHUNK_SIZE);
     const lx = (x % CHUNK_SIZE + CHUNK_SIZE) % CHUNK_SIZE;
     const ly = (y % CHUNK_SIZE + CHUNK_SIZE) % CHUNK_SIZE;
     
+    if (editBefore && !editWhole) recordEditChunk(getChunkKey(cx, cy));
+    clearDyingCell(cx, cy, lx, ly);
+    
     const chunk = getChunk(cx, cy, !!val); // Only create if setting to 1
     if (!chunk) return; // Setting 0 on non-existent chunk -> ignore
     
@@ -356,6 +777,22 @@ function setCell(x, y, val) {
     }
 }
 
+// Editing a cell always resets its dying state. Copy-on-write, since
+// history entries share dying arrays with the live map.
+function clearDyingCell(cx, cy, lx, ly) {
+    const key = getChunkKey(cx, cy);
+    const dying = dyingChunks.get(key);
+    if (!dying || !dying[ly * CHUNK_SIZE + lx]) return;
+    
+    const copy = new Uint8Array(dying);
+    copy[ly * CHUNK_SIZE + lx] = 0;
+    if (copy.some(v => v !== 0)) {
+        dyingChunks.set(key, copy);
+    } else {
+        dyingChunks.delete(key);
+    }
+}
+
 function isChunkEmpty(chunk) {
     for (let i = 0; i < chunk.length; i++) {
         if (chunk[i] !== 0) return false;
@@ -466,6 +903,68 @@ function getApproxBbox() {
     };
 }
 
+// Exact bounding box of the live cells as { x, y, w, h }, or null if empty
+function getExactBbox() {
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const [key, chunk] of chunks) {
+        let columns = 0;
+        let firstRow = -1, lastRow = -1;
+        for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+            if (chunk[ly] === 0) continue;
+            columns |= chunk[ly];
+            if (firstRow < 0) firstRow = ly;
+            lastRow = ly;
+        }
+        if (firstRow < 0) continue;
+        
+        const [cx, cy] = key.split(',').map(Number);
+        const x0 = cx * CHUNK_SIZE;
+        const y0 = cy * CHUNK_SIZE;
+        minX = Math.min(minX, x0 + 31 - Math.clz32(columns & -columns));
+        maxX = Math.max(maxX, x0 + 31 - Math.clz32(columns));
+        minY = Math.min(minY, y0 + firstRow);
+        maxY = Math.max(maxY, y0 + lastRow);
+    }
+    if (minX === Infinity) return null;
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// Live cells connected to (x, y), where cells within Chebyshev distance
+// `dist` of each other count as connected. Starts from the live cell
+// nearest to (x, y) within `dist`; `cells` is empty if there is none.
+// Stops early (`truncated`) at CONFIG.SELECT_OBJECT_MAX_CELLS cells.
+function connectedCells(x, y, dist) {
+    let start = null;
+    for (let r = 0; r <= dist && !start; r++) {
+        for (let dy = -r; dy <= r && !start; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                if (getCell(x + dx, y + dy)) {
+                    start = [x + dx, y + dy];
+                    break;
+                }
+            }
+        }
+    }
+    if (!start) return { cells: [], truncated: false };
+    
+    const seen = new Set([`${start[0]},${start[1]}`]);
+    const stack = [start];
+    const cells = [];
+    while (stack.length > 0 && cells.length < CONFIG.SELECT_OBJECT_MAX_CELLS) {
+        const [cx, cy] = stack.pop();
+        cells.push([cx, cy]);
+        for (let dy = -dist; dy <= dist; dy++) {
+            for (let dx = -dist; dx <= dist; dx++) {
+                const key = `${cx + dx},${cy + dy}`;
+                if (seen.has(key) || !getCell(cx + dx, cy + dy)) continue;
+                seen.add(key);
+                stack.push([cx + dx, cy + dy]);
+            }
+        }
+    }
+    return { cells, truncated: stack.length > 0 };
+}
+
 function garbageCollectChunks() {
     const toDelete = [];
     for (const [key, chunk] of chunks) {
@@ -479,23 +978,268 @@ function garbageCollectChunks() {
     return toDelete.length;
 }
 
-// Utility function for debugging/future use
-// eslint-disable-next-line no-unused-vars
 function getCell(x, y) {
+    return getCellIn(chunks, x, y);
+}
+
+// Read a cell from an arbitrary chunks Map
+function getCellIn(source, x, y) {
     const cx = Math.floor(x / CHUNK_SIZE);
     const cy = Math.floor(y / CHUNK_SIZE);
     const lx = (x % CHUNK_SIZE + CHUNK_SIZE) % CHUNK_SIZE;
     const ly = (y % CHUNK_SIZE + CHUNK_SIZE) % CHUNK_SIZE;
     
-    const chunk = chunks.get(getChunkKey(cx, cy));
+    const chunk = source.get(getChunkKey(cx, cy));
     if (!chunk) return 0;
     
     return (chunk[ly] >>> lx) & 1;
 }
 
-function loadFlatData(data, w, _h) {
+// Golly-style paste modes for the live cells of one or more stamps (a
+// pattern and its mirror images): 'or' sets them, 'xor' toggles them,
+// 'andnot' erases them, 'copy' first clears each stamp's own bounding box
+// so it lands exactly. A cell shared by several stamps is applied once.
+function pasteCells(stamps, mode) {
+    if (mode === 'copy') {
+        for (const cells of stamps) {
+            if (cells.length === 0) continue;
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (const [x, y] of cells) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+            for (let y = minY; y <= maxY; y++) {
+                for (let x = minX; x <= maxX; x++) {
+                    if (getCell(x, y)) setCell(x, y, 0);
+                }
+            }
+        }
+    }
+    const seen = new Set();
+    for (const cells of stamps) {
+        for (const [x, y] of cells) {
+            const key = `${x},${y}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            if (mode === 'xor') {
+                setCell(x, y, getCell(x, y) ? 0 : 1);
+            } else {
+                setCell(x, y, mode === 'andnot' ? 0 : 1);
+            }
+        }
+    }
+}
+
+// Send a new selection rectangle (null when there was nothing to select).
+// `truncated` marks an object selection that stopped growing at the cell limit.
+function postSelectionBox(box, count = null, truncated = false) {
+    self.postMessage({
+        type: 'selectionBox',
+        payload: box && { x1: box.x, y1: box.y, x2: box.x + box.w - 1, y2: box.y + box.h - 1, count, truncated }
+    });
+}
+
+function finishSelectionEdit() {
+    commitEdit();
+    recalculateTotalPopulation();
+    bboxDirty = true;
+    sendUpdate();
+}
+
+// Call visit(cx, cy, chunk) for each chunk of `source` covering the w x h
+// region at (x0, y0). Walks whichever is smaller: the chunks covering the
+// region or all chunks.
+function forEachChunkInRegion(source, x0, y0, w, h, visit) {
+    const cx0 = Math.floor(x0 / CHUNK_SIZE), cx1 = Math.floor((x0 + w - 1) / CHUNK_SIZE);
+    const cy0 = Math.floor(y0 / CHUNK_SIZE), cy1 = Math.floor((y0 + h - 1) / CHUNK_SIZE);
+    if ((cx1 - cx0 + 1) * (cy1 - cy0 + 1) <= source.size) {
+        for (let cy = cy0; cy <= cy1; cy++) {
+            for (let cx = cx0; cx <= cx1; cx++) {
+                const chunk = source.get(getChunkKey(cx, cy));
+                if (chunk) visit(cx, cy, chunk);
+            }
+        }
+    } else {
+        for (const [key, chunk] of source) {
+            const [cx, cy] = key.split(',').map(Number);
+            if (cx >= cx0 && cx <= cx1 && cy >= cy0 && cy <= cy1) visit(cx, cy, chunk);
+        }
+    }
+}
+
+// Rewrite the w x h region at (x0, y0) a chunk row at a time, for edits too
+// large to go through setCell. update(row, mask) gets a chunk row and the
+// bits of it inside the region; only those bits of its result are kept.
+// Each touched chunk is recorded for undo once and loses its dying cells
+// inside the region, as with setCell.
+function updateRegionRows(x0, y0, w, h, update) {
+    if (topology) {
+        // Cells off a bounded grid can't be set
+        const { left, top, width, height } = topology;
+        const x1 = Math.min(x0 + w, left + width);
+        const y1 = Math.min(y0 + h, top + height);
+        x0 = Math.max(x0, left);
+        y0 = Math.max(y0, top);
+        w = x1 - x0;
+        h = y1 - y0;
+    }
+    if (w <= 0 || h <= 0) return;
+    const x1 = x0 + w - 1;
+    const y1 = y0 + h - 1;
+    const cx0 = Math.floor(x0 / CHUNK_SIZE), cx1 = Math.floor(x1 / CHUNK_SIZE);
+    const cy0 = Math.floor(y0 / CHUNK_SIZE), cy1 = Math.floor(y1 / CHUNK_SIZE);
+    
+    for (let cy = cy0; cy <= cy1; cy++) {
+        const ly0 = Math.max(0, y0 - cy * CHUNK_SIZE);
+        const ly1 = Math.min(CHUNK_SIZE - 1, y1 - cy * CHUNK_SIZE);
+        for (let cx = cx0; cx <= cx1; cx++) {
+            const lo = Math.max(0, x0 - cx * CHUNK_SIZE);
+            const hi = Math.min(CHUNK_SIZE - 1, x1 - cx * CHUNK_SIZE);
+            const span = hi - lo + 1;
+            const mask = (span >= BITS ? 0xFFFFFFFF : (1 << span) - 1) << lo;
+            
+            const key = getChunkKey(cx, cy);
+            if (editBefore && !editWhole) recordEditChunk(key);
+            const chunk = chunks.get(key) || new Uint32Array(CHUNK_SIZE);
+            let any = 0;
+            for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+                if (ly >= ly0 && ly <= ly1) {
+                    chunk[ly] = (chunk[ly] & ~mask) | (update(chunk[ly], mask) & mask);
+                }
+                any |= chunk[ly];
+            }
+            if (any) {
+                chunks.set(key, chunk);
+            } else {
+                chunks.delete(key);
+            }
+            
+            const dying = dyingChunks.get(key);
+            if (dying) {
+                const copy = new Uint8Array(dying);
+                for (let ly = ly0; ly <= ly1; ly++) {
+                    copy.fill(0, ly * CHUNK_SIZE + lo, ly * CHUNK_SIZE + hi + 1);
+                }
+                if (copy.some(v => v !== 0)) {
+                    dyingChunks.set(key, copy);
+                } else {
+                    dyingChunks.delete(key);
+                }
+            }
+        }
+    }
+}
+
+// Live cells of the w x h region at (x0, y0), relative to its corner
+function regionCells(x0, y0, w, h) {
+    const x1 = x0 + w - 1;
+    const y1 = y0 + h - 1;
+    const cells = [];
+    
+    forEachChunkInRegion(chunks, x0, y0, w, h, (cx, cy, chunk) => {
+        for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+            const row = chunk[ly];
+            const y = cy * CHUNK_SIZE + ly;
+            if (!row || y < y0 || y > y1) continue;
+            for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+                const x = cx * CHUNK_SIZE + lx;
+                if ((row >>> lx) & 1 && x >= x0 && x <= x1) cells.push([x - x0, y - y0]);
+            }
+        }
+    });
+    return cells;
+}
+
+// Extra pixel row and column an image gets for its closing grid lines
+// (grid lines are drawn from 4 pixels per cell, as in the UI's sampleImageLayout)
+function imageGridLine(options, pixelsPerCell) {
+    return options && options.grid && pixelsPerCell >= 4 ? 1 : 0;
+}
+
+// Sample the w x h region at (x0, y0) for an image, `cellsPerPixel` cells
+// to a pixel on each axis. `cells` holds 1 where any cell is live, else the
+// lowest dying state (Generations), else 0; `ages` and `heat` (the highest
+// value in each pixel) are only filled while age/heatmap tracking is on.
+function sampleRegion(x0, y0, w, h, cellsPerPixel) {
+    const cols = Math.ceil(w / cellsPerPixel);
+    const rows = Math.ceil(h / cellsPerPixel);
+    const cells = new Uint8Array(cols * rows);
+    const ages = ageTrackingEnabled ? new Uint8Array(cols * rows) : null;
+    const heat = heatmapEnabled ? new Uint8Array(cols * rows) : null;
+    
+    // Pixel index of a global cell, -1 outside the region
+    const pixelAt = (x, y) => {
+        if (x < x0 || y < y0 || x >= x0 + w || y >= y0 + h) return -1;
+        return Math.floor((y - y0) / cellsPerPixel) * cols + Math.floor((x - x0) / cellsPerPixel);
+    };
+    
+    forEachChunkInRegion(chunks, x0, y0, w, h, (cx, cy, chunk) => {
+        const ageChunk = ages && ageChunks.get(getChunkKey(cx, cy));
+        for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+            let word = chunk[ly];
+            while (word) {
+                const lx = 31 - Math.clz32(word & -word);
+                word &= word - 1;
+                const i = pixelAt(cx * CHUNK_SIZE + lx, cy * CHUNK_SIZE + ly);
+                if (i < 0) continue;
+                cells[i] = 1;
+                if (ageChunk) ages[i] = Math.max(ages[i], ageChunk[ly * CHUNK_SIZE + lx]);
+            }
+        }
+    });
+    
+    forEachChunkInRegion(dyingChunks, x0, y0, w, h, (cx, cy, dying) => {
+        for (let j = 0; j < dying.length; j++) {
+            const state = dying[j];
+            if (!state) continue;
+            const i = pixelAt(cx * CHUNK_SIZE + (j % CHUNK_SIZE), cy * CHUNK_SIZE + Math.floor(j / CHUNK_SIZE));
+            if (i >= 0 && cells[i] !== 1 && (cells[i] === 0 || state < cells[i])) cells[i] = state;
+        }
+    });
+    
+    if (heat) {
+        forEachChunkInRegion(heatmapChunks, x0, y0, w, h, (cx, cy, heatChunk) => {
+            for (let j = 0; j < heatChunk.length; j++) {
+                if (!heatChunk[j]) continue;
+                const i = pixelAt(cx * CHUNK_SIZE + (j % CHUNK_SIZE), cy * CHUNK_SIZE + Math.floor(j / CHUNK_SIZE));
+                if (i >= 0) heat[i] = Math.max(heat[i], heatChunk[j]);
+            }
+        });
+    }
+    return { cols, rows, cells, ages, heat };
+}
+
+// Transform the w x h region at (x0, y0) in place: 'rotate' turns it 90°
+// clockwise about its center, 'flipX'/'flipY' mirror it left-right/top-bottom.
+// Returns the region the cells now occupy.
+function transformRegion(x0, y0, w, h, op) {
+    const cells = regionCells(x0, y0, w, h);
+    const rect = op === 'rotate'
+        ? { x: x0 + Math.floor((w - h) / 2), y: y0 + Math.floor((h - w) / 2), w: h, h: w }
+        : { x: x0, y: y0, w, h };
+    
+    beginEdit();
+    for (const [dx, dy] of cells) setCell(x0 + dx, y0 + dy, 0);
+    // A rotated non-square selection sticks out of the old rectangle
+    if (op === 'rotate') updateRegionRows(rect.x, rect.y, rect.w, rect.h, () => 0);
+    for (const [dx, dy] of cells) {
+        if (op === 'rotate') {
+            setCell(rect.x + h - 1 - dy, rect.y + dx, 1);
+        } else if (op === 'flipX') {
+            setCell(rect.x + w - 1 - dx, rect.y + dy, 1);
+        } else {
+            setCell(rect.x + dx, rect.y + h - 1 - dy, 1);
+        }
+    }
+    commitEdit();
+    return rect;
+}
+
+function loadFlatData(data, w, _h, x0 = 0, y0 = 0) {
     // Load a flat Uint32Array (stride = w/BITS) into chunks
-    // We assume (0,0) is top-left of this data
+    // with (x0, y0) as the top-left of this data
     const stride = Math.ceil(w / BITS);
     for(let i=0; i<data.length; i++) {
         const word = data[i];
@@ -506,22 +1250,40 @@ function loadFlatData(data, w, _h) {
         
         for(let b=0; b<BITS; b++) {
             if ((word >>> b) & 1) {
-                setCell(colStart + b, row, 1);
+                setCell(x0 + colStart + b, y0 + row, 1);
             }
         }
     }
     garbageCollectChunks();
 }
 
+// Load a flat Int32Array of global [x0, y0, x1, y1, ...] live cells
+function loadCoords(coords) {
+    for (let i = 0; i + 1 < coords.length; i += 2) {
+        setCell(coords[i], coords[i + 1], 1);
+    }
+}
+
 function randomize(density = 0.25, viewportOnly = false) {
     if (viewportOnly) {
         // Randomize viewW * viewH cells starting at viewX, viewY
-        for (let y = 0; y < viewH; y++) {
-            for (let x = 0; x < viewW; x++) {
+        let x0 = viewX, y0 = viewY, x1 = viewX + viewW, y1 = viewY + viewH;
+        if (topology) {
+            // Bounded grids are filled whole when small enough, else where visible
+            const { left, top, width, height } = topology;
+            if (width * height <= CONFIG.TOPOLOGY_RANDOMIZE_MAX_CELLS) {
+                x0 = left; y0 = top; x1 = left + width; y1 = top + height;
+            } else {
+                x0 = Math.max(x0, left); y0 = Math.max(y0, top);
+                x1 = Math.min(x1, left + width); y1 = Math.min(y1, top + height);
+            }
+        }
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
                  if (Math.random() < density) {
-                     setCell(viewX + x, viewY + y, 1);
+                     setCell(x, y, 1);
                  } else {
-                     setCell(viewX + x, viewY + y, 0);
+                     setCell(x, y, 0);
                  }
             }
         }
@@ -611,7 +1373,7 @@ function exportWorld() {
     
     if (liveCells.length === 0) return;
     
-    // 2. Normalize to (0,0) origin
+    // 2. Normalize to (0,0) origin (the #CXRLE line records the real one)
     const w = maxX - minX + 1;
     const h = maxY - minY + 1;
     
@@ -622,7 +1384,8 @@ function exportWorld() {
     }
     
     // 3. Generate RLE
-    let rle = `#C Exported from Life Engine\nx = ${w}, y = ${h}, rule = ${currentRuleString}\n`;
+    const headerLines = [formatCXRLE(minX, minY, generation), ...formatPatternMetadata(patternMetadata)];
+    let rle = headerLines.join('\n') + `\nx = ${w}, y = ${h}, rule = ${currentRuleString}\n`;
     let lineLen = 0;
     const MAX_LINE_LEN = 70;
     
@@ -673,10 +1436,111 @@ function exportWorld() {
     
     self.postMessage({
         type: 'exportData',
-        payload: { rle, w, h }
+        payload: { format: 'rle', text: rle, w, h }
+    });
+}
+
+/**
+ * Export as plaintext (.cells), Life 1.05 or Life 1.06. The Life formats
+ * keep the cells' absolute coordinates; plaintext starts at the bounding box.
+ */
+function exportCellList(format) {
+    const cells = [];
+    forEachLiveCell(chunks, (x, y) => cells.push([x, y]));
+    if (cells.length === 0) return;
+    cells.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+    
+    // These formats have free-form comments only
+    const { name, author, comments } = patternMetadata;
+    const notes = [];
+    if (name) notes.push(`Name: ${name}`);
+    if (author) notes.push(`Author: ${author}`);
+    notes.push(...comments);
+    
+    let text;
+    if (format === 'cells') {
+        text = coordsToPlaintext(cells, notes);
+    } else if (format === 'life105') {
+        text = coordsToLife105(cells, currentRuleString, notes);
+    } else {
+        text = coordsToLife106(cells);
+    }
+    self.postMessage({ type: 'exportData', payload: { format, text } });
+}
+
+/**
+ * Export as Golly Macrocell ([M2]). The quadtree is hash-consed through the
+ * HashLife node table, so identical subtrees are written once and sparse
+ * universes stay small. Like Golly, the root is centered on (0, 0).
+ * Only live cells are written (no Generations dying states).
+ */
+function exportMacrocell() {
+    if (chunks.size === 0) return;
+    
+    const entries = [];
+    let extent = 0; // Chunk radius around the origin
+    for (const [key, chunk] of chunks) {
+        const [cx, cy] = key.split(',').map(Number);
+        entries.push([cx, cy, hlBuildBlock(chunk, 0, 0, 5)]);
+        extent = Math.max(extent, -cx, cx + 1, -cy, cy + 1);
+    }
+    
+    // Root spans chunks [-2^(k-1), 2^(k-1)) on both axes
+    let k = 1;
+    while ((1 << (k - 1)) < extent) k++;
+    const half = 1 << (k - 1);
+    const root = hlBuildRegion(entries, -half, -half, k);
+    
+    const lines = ['[M2] (Life Engine)', ...formatPatternMetadata(patternMetadata), `#R ${currentRuleString}`];
+    if (generation > 0) lines.push(`#G ${generation}`);
+    
+    // Post-order numbering: children before parents, empty nodes are 0
+    const ids = new Map();
+    const write = (node) => {
+        if (node.pop === 0) return 0;
+        let id = ids.get(node);
+        if (id !== undefined) return id;
+        
+        if (node.level === 3) {
+            lines.push(mcLeafLine(node));
+        } else {
+            const nw = write(node.nw), ne = write(node.ne);
+            const sw = write(node.sw), se = write(node.se);
+            lines.push(`${node.level} ${nw} ${ne} ${sw} ${se}`);
+        }
+        id = ids.size + 1;
+        ids.set(node, id);
+        return id;
+    };
+    write(root);
+    
+    if (engine !== 'hashlife') hlReset(); // Release the nodes built for export
+    
+    self.postMessage({
+        type: 'exportData',
+        payload: { format: 'mc', text: lines.join('\n') + '\n' }
     });
 }
 
+// 8x8 leaf as Golly writes it: '.'/'*' per row, trailing dead cells dropped, '$' after each row
+function mcLeafLine(node) {
+    const rows = new Array(8).fill(null).map(() => new Array(8).fill('.'));
+    const fill = (n, x, y) => {
+        if (n.pop === 0) return;
+        if (n.level === 0) {
+            rows[y][x] = '*';
+            return;
+        }
+        const half = 1 << (n.level - 1);
+        fill(n.nw, x, y);
+        fill(n.ne, x + half, y);
+        fill(n.sw, x, y + half);
+        fill(n.se, x + half, y + half);
+    };
+    fill(node, 0, 0);
+    return rows.map(row => row.join('').replace(/\.+$/, '') + '$').join('');
+}
+
 // --- History Management (Delta-based) ---
 
 // Clone a single chunk
@@ -731,8 +1595,20 @@ function applyDeltaReverse(delta) {
     }
 }
 
+// Apply delta forward (redo an edit)
+function applyDeltaForward(delta) {
+    for (const [key, change] of delta) {
+        if (change.new) {
+            chunks.set(key, new Uint32Array(change.new));
+        } else {
+            chunks.delete(key);
+        }
+    }
+}
+
 // Temporary storage for pre-step state (used by pushHistory)
 let preStepChunks = null;
+let preStepDying = null;
 let preStepGeneration = 0;
 let preStepPopulation = 0;
 
@@ -742,6 +1618,7 @@ function capturePreStepState() {
     for (const [key, chunk] of chunks) {
         preStepChunks.set(key, new Uint32Array(chunk));
     }
+    preStepDying = ruleStates > 2 ? new Map(dyingChunks) : null;
     preStepGeneration = generation;
     preStepPopulation = totalPopulation;
 }
@@ -752,11 +1629,12 @@ function pushHistoryDelta() {
     const delta = buildDelta(preStepChunks, chunks);
     
     // Only push if something changed
-    if (delta.size > 0) {
+    if (delta.size > 0 || (preStepDying && preStepDying.size > 0)) {
         historyBuffer.push({
             delta: delta,
             generation: preStepGeneration,
-            population: preStepPopulation
+            population: preStepPopulation,
+            dying: preStepDying
         });
         
         // Ring buffer: trim oldest if over limit
@@ -766,6 +1644,7 @@ function pushHistoryDelta() {
     }
     
     preStepChunks = null;
+    preStepDying = null;
 }
 
 function popHistory() {
@@ -773,23 +1652,271 @@ function popHistory() {
     
     const state = historyBuffer.pop();
     applyDeltaReverse(state.delta);
+    dyingChunks = state.dying || new Map();
     generation = state.generation;
     totalPopulation = state.population;
     bboxDirty = true;
     return true;
 }
 
-// --- Simulation ---
+// --- Edit History (Undo/Redo) ---
+//
+// Edits are recorded as chunk deltas, like step history. Cell edits snapshot
+// only the chunks they touch; clear/load/randomize snapshot the whole world.
+// An edit can only be undone at the generation it left behind, so stepping
+// on from it has to be stepped back first.
 
-/**
- * Compute next generation using SWAR bitwise neighbor counting.
- * Pure simulation logic - no side effects on history/age/heatmap.
- * 
- * @param {Map<string, Uint32Array>} currentChunks - Current state
- * @returns {Map<string, Uint32Array>} - Next generation state
- */
-function computeNextGeneration(currentChunks) {
-    const result = new Map();
+let editUndoStack = []; // Array of {delta, dyingBefore, dyingAfter, genBefore, genAfter}
+let editRedoStack = [];
+let editBefore = null;  // Map<key, Uint32Array|null> of touched chunks before the open edit
+let editWhole = false;  // Whether editBefore holds every chunk
+let editDying = null;
+let editGeneration = 0;
+let editGroupOpen = false;
+
+function beginEdit(whole = false) {
+    if (editGroupOpen) return; // Part of the open stroke
+    // Whole-world edits start from chunks.clear(), so the old arrays are never mutated
+    editBefore = whole ? new Map(chunks) : new Map();
+    editWhole = whole;
+    editDying = new Map(dyingChunks); // Dying arrays are copy-on-write
+    editGeneration = generation;
+}
+
+// Called by setCell before it changes a chunk
+function recordEditChunk(key) {
+    if (!editBefore.has(key)) {
+        editBefore.set(key, cloneChunk(chunks.get(key)));
+    }
+}
+
+function commitEdit() {
+    if (editGroupOpen || !editBefore) return;
+    
+    let after = chunks;
+    if (!editWhole) {
+        after = new Map();
+        for (const key of editBefore.keys()) {
+            const chunk = chunks.get(key);
+            if (chunk) after.set(key, chunk);
+        }
+    }
+    const before = new Map();
+    for (const [key, chunk] of editBefore) {
+        if (chunk) before.set(key, chunk);
+    }
+    const delta = buildDelta(before, after);
+    
+    if (delta.size > 0 || editGeneration !== generation) {
+        editUndoStack.push({
+            delta,
+            dyingBefore: editDying,
+            dyingAfter: new Map(dyingChunks),
+            genBefore: editGeneration,
+            genAfter: generation,
+        });
+        if (editUndoStack.length > CONFIG.EDIT_HISTORY_MAX) {
+            editUndoStack.shift();
+        }
+        editRedoStack = [];
+    }
+    
+    editBefore = null;
+    editDying = null;
+}
+
+function applyEdit(entry, reverse) {
+    if (reverse) {
+        applyDeltaReverse(entry.delta);
+    } else {
+        applyDeltaForward(entry.delta);
+    }
+    dyingChunks = new Map(reverse ? entry.dyingBefore : entry.dyingAfter);
+    generation = reverse ? entry.genBefore : entry.genAfter;
+    ageChunks.clear();
+    if (ageTrackingEnabled) initializeAges();
+    recalculateTotalPopulation();
+    bboxDirty = true;
+}
+
+function postEditResult(ok, message) {
+    self.postMessage({ type: 'editResult', payload: { ok, message } });
+}
+
+// --- Bounded Grids ---
+//
+// Golly-style topologies from the rule suffix (":T100,80", ":P64,64", ":K100*,80").
+// The grid is centered on the origin like Golly's. Stepping stays on the
+// infinite SWAR path: a one-cell ghost border is filled with the cells that
+// wrap onto it, and everything outside the grid is clipped afterwards.
+
+function setTopology(parsedTopology) {
+    if (!parsedTopology) {
+        topology = null;
+        return;
+    }
+    const { type, width, height, twist } = parsedTopology;
+    if (topology && topology.type === type && topology.width === width &&
+        topology.height === height && topology.twist === twist) return;
+    topology = {
+        ...parsedTopology,
+        left: -Math.floor(width / 2),
+        top: -Math.floor(height / 2),
+    };
+    
+    // Drop cells that no longer fit, as one undoable edit
+    beginEdit();
+    const { left, top } = topology;
+    for (const key of chunks.keys()) {
+        const [cx, cy] = key.split(',').map(Number);
+        if (cx * CHUNK_SIZE < left || cy * CHUNK_SIZE < top ||
+            (cx + 1) * CHUNK_SIZE > left + width || (cy + 1) * CHUNK_SIZE > top + height) {
+            if (editBefore && !editWhole) recordEditChunk(key);
+        }
+    }
+    clipToTopology(chunks);
+    clipDyingToRect(left, top, width, height);
+    commitEdit();
+    recalculateTotalPopulation();
+    bboxDirty = true;
+}
+
+function insideTopology(x, y) {
+    const { left, top, width, height } = topology;
+    return x >= left && x < left + width && y >= top && y < top + height;
+}
+
+// Map a coordinate just outside the grid to the in-grid cell it is glued to
+function wrapToTopology(x, y) {
+    const { type, left, top, width, height, twist } = topology;
+    if (type === 'K') {
+        // Crossing a twisted edge mirrors the other axis
+        if (twist === 'x' && (y < top || y >= top + height)) x = 2 * left + width - 1 - x;
+        if (twist === 'y' && (x < left || x >= left + width)) y = 2 * top + height - 1 - y;
+    }
+    const wrap = (v, lo, n) => lo + ((v - lo) % n + n) % n;
+    return [wrap(x, left, width), wrap(y, top, height)];
+}
+
+// Copy of `source` with the ghost border filled in (shares untouched chunks)
+function addTopologyBorder(source) {
+    if (topology.type === 'P') return source; // Finite plane: outside is always dead
+    
+    const { left, top, width, height } = topology;
+    const right = left + width - 1;
+    const bottom = top + height - 1;
+    const padded = new Map(source);
+    const copied = new Set();
+    
+    const setGhost = (x, y) => {
+        const [sx, sy] = wrapToTopology(x, y);
+        if (!getCellIn(source, sx, sy)) return;
+        
+        const key = getChunkKey(Math.floor(x / CHUNK_SIZE), Math.floor(y / CHUNK_SIZE));
+        if (!copied.has(key)) {
+            const chunk = padded.get(key);
+            if (chunk) padded.set(key, cloneChunk(chunk));
+            copied.add(key);
+        }
+        setCellIn(padded, x, y);
+    };
+    
+    for (let x = left - 1; x <= right + 1; x++) {
+        setGhost(x, top - 1);
+        setGhost(x, bottom + 1);
+    }
+    for (let y = top; y <= bottom; y++) {
+        setGhost(left - 1, y);
+        setGhost(right + 1, y);
+    }
+    return padded;
+}
+
+// Clear every cell outside the grid, in place
+function clipToTopology(target) {
+    const { left, top, width, height } = topology;
+    clipToRect(target, left, top, width, height);
+}
+
+// Clear every cell outside a rectangle, in place
+function clipToRect(target, left, top, width, height) {
+    const right = left + width - 1;
+    const bottom = top + height - 1;
+    
+    for (const [key, chunk] of target) {
+        const [cx, cy] = key.split(',').map(Number);
+        const x0 = cx * CHUNK_SIZE;
+        const y0 = cy * CHUNK_SIZE;
+        if (x0 >= left && x0 + CHUNK_SIZE - 1 <= right &&
+            y0 >= top && y0 + CHUNK_SIZE - 1 <= bottom) continue;
+        
+        // Bits of this chunk's columns that lie inside the rectangle
+        const lo = Math.max(0, left - x0);
+        const hi = Math.min(CHUNK_SIZE - 1, right - x0);
+        let colMask = 0;
+        if (lo <= hi) {
+            const span = hi - lo + 1;
+            colMask = (span >= BITS ? 0xFFFFFFFF : (1 << span) - 1) << lo;
+        }
+        
+        let any = 0;
+        for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+            const y = y0 + ly;
+            chunk[ly] = (y < top || y > bottom) ? 0 : chunk[ly] & colMask;
+            any |= chunk[ly];
+        }
+        if (!any) target.delete(key);
+    }
+}
+
+// Clear every dying cell outside a rectangle. Copy-on-write, since history
+// entries share dying arrays with the live map.
+function clipDyingToRect(left, top, width, height) {
+    for (const [key, dying] of dyingChunks) {
+        const [cx, cy] = key.split(',').map(Number);
+        const x0 = cx * CHUNK_SIZE;
+        const y0 = cy * CHUNK_SIZE;
+        if (x0 >= left && x0 + CHUNK_SIZE <= left + width &&
+            y0 >= top && y0 + CHUNK_SIZE <= top + height) continue;
+        
+        const copy = new Uint8Array(dying);
+        for (let i = 0; i < copy.length; i++) {
+            const x = x0 + i % CHUNK_SIZE;
+            const y = y0 + Math.floor(i / CHUNK_SIZE);
+            if (x < left || x >= left + width || y < top || y >= top + height) copy[i] = 0;
+        }
+        if (copy.some(v => v !== 0)) {
+            dyingChunks.set(key, copy);
+        } else {
+            dyingChunks.delete(key);
+        }
+    }
+}
+
+// One generation of the current rule, honoring the bounded grid if any
+function computeNextState(currentChunks, currentDying) {
+    if (!topology) return computeNextGeneration(currentChunks, currentDying);
+    
+    const next = computeNextGeneration(addTopologyBorder(currentChunks), currentDying);
+    clipToTopology(next);
+    return next;
+}
+
+// --- Simulation ---
+
+/**
+ * Compute next generation using SWAR bitwise neighbor counting.
+ * Pure simulation logic - no side effects on history/age/heatmap.
+ * 
+ * Under Generations rules, cells in a dying state are not alive (they do not
+ * count as neighbors) but are not dead either, so they cannot be born.
+ * 
+ * @param {Map<string, Uint32Array>} currentChunks - Current state
+ * @param {Map<string, Uint8Array>} [currentDying] - Dying states (Generations rules only)
+ * @returns {Map<string, Uint32Array>} - Next generation state
+ */
+function computeNextGeneration(currentChunks, currentDying = null) {
+    const result = new Map();
     
     // Set of keys to process: All active chunks + their neighbors
     const toProcess = new Set();
@@ -821,11 +1948,14 @@ function computeNextGeneration(currentChunks) {
         const SW = currentChunks.get(getChunkKey(cx - 1, cy + 1));
         const SE = currentChunks.get(getChunkKey(cx + 1, cy + 1));
         
+        const D = currentDying ? currentDying.get(key) : null;
+        
         const nextChunk = new Uint32Array(CHUNK_SIZE);
         let active = false;
         
         for (let y = 0; y < CHUNK_SIZE; y++) {
             const c_row = C[y];
+            const dyingMask = D ? dyingRowMask(D, y) : 0;
             
             // North/South rows (handle chunk boundaries)
             const n_row = y > 0 ? C[y - 1] : (N ? N[CHUNK_SIZE - 1] : 0);
@@ -865,6 +1995,14 @@ function computeNextGeneration(currentChunks) {
             const sw = shiftRight(s_row, s_w_word);
             const se = shiftLeft(s_row, s_e_word);
             
+            // Non-totalistic rules: per-cell table lookup instead of counting
+            if (ruleIsotropic) {
+                const nextRow = isotropicRow(nw, n, ne, w, c_row, e, sw, s, se) & ~dyingMask;
+                if (nextRow !== 0) active = true;
+                nextChunk[y] = nextRow;
+                continue;
+            }
+            
             // SWAR neighbor counting: parallel addition of 8 neighbor bits
             // Result: 4-bit count (total0-total3) per cell position
             const s0 = n ^ s; const c0 = n & s;
@@ -924,7 +2062,7 @@ function computeNextGeneration(currentChunks) {
             if (survivalRule[8]) survivalMask |= n8;
             
             // Next state: birth (dead & birthMask) | survival (alive & survivalMask)
-            const nextState = (~c_row & birthMask) | (c_row & survivalMask);
+            const nextState = (~c_row & ~dyingMask & birthMask) | (c_row & survivalMask);
             
             if (nextState !== 0) active = true;
             nextChunk[y] = nextState;
@@ -938,10 +2076,93 @@ function computeNextGeneration(currentChunks) {
     return result;
 }
 
+/**
+ * Next state of one 32-cell row under a non-totalistic rule.
+ * Each argument is a row word already shifted so that bit lx holds that
+ * neighbor of cell lx; only positions with some live cell nearby are looked up.
+ */
+function isotropicRow(nw, n, ne, w, c, e, sw, s, se) {
+    let candidates = ruleTable[0] ? 0xFFFFFFFF : (nw | n | ne | w | c | e | sw | s | se);
+    let row = 0;
+    while (candidates !== 0) {
+        const lx = 31 - Math.clz32(candidates & -candidates);
+        candidates &= candidates - 1;
+        const idx = ((nw >>> lx) & 1) | (((n >>> lx) & 1) << 1) | (((ne >>> lx) & 1) << 2) |
+                    (((w >>> lx) & 1) << 3) | (((c >>> lx) & 1) << 4) | (((e >>> lx) & 1) << 5) |
+                    (((sw >>> lx) & 1) << 6) | (((s >>> lx) & 1) << 7) | (((se >>> lx) & 1) << 8);
+        if (ruleTable[idx]) row |= (1 << lx);
+    }
+    return row;
+}
+
+// Bitmask of the dying cells in row ly of a dying chunk
+function dyingRowMask(dying, ly) {
+    let mask = 0;
+    const base = ly * CHUNK_SIZE;
+    for (let lx = 0; lx < CHUNK_SIZE; lx++) {
+        if (dying[base + lx]) mask |= (1 << lx);
+    }
+    return mask;
+}
+
+/**
+ * Advance Generations dying states alongside a step.
+ * Cells that were alive and died enter state 2; dying cells move to the next
+ * state and return to dead after state C-1.
+ * 
+ * @param {Map<string, Uint32Array>} oldChunks - Live cells before the step
+ * @param {Map<string, Uint32Array>} newChunks - Live cells after the step
+ * @param {Map<string, Uint8Array>} oldDying - Dying states before the step
+ * @returns {Map<string, Uint8Array>} Dying states after the step
+ */
+function computeNextDying(oldChunks, newChunks, oldDying) {
+    const result = new Map();
+    if (ruleStates <= 2) return result;
+    
+    const allKeys = new Set([...oldChunks.keys(), ...oldDying.keys()]);
+    for (const key of allKeys) {
+        const oldChunk = oldChunks.get(key);
+        const newChunk = newChunks.get(key);
+        const oldStates = oldDying.get(key);
+        const states = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+        let any = false;
+        
+        if (oldStates) {
+            for (let i = 0; i < states.length; i++) {
+                const s = oldStates[i];
+                if (s && s + 1 < ruleStates) {
+                    states[i] = s + 1;
+                    any = true;
+                }
+            }
+        }
+        
+        if (oldChunk) {
+            for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+                const died = oldChunk[ly] & ~(newChunk ? newChunk[ly] : 0);
+                if (died === 0) continue;
+                for (let lx = 0; lx < BITS; lx++) {
+                    if ((died >>> lx) & 1) {
+                        states[ly * CHUNK_SIZE + lx] = 2;
+                        any = true;
+                    }
+                }
+            }
+        }
+        
+        if (any) result.set(key, states);
+    }
+    return result;
+}
+
 function step() {
     capturePreStepState();
     
-    const nextState = computeNextGeneration(chunks);
+    const useHashlife = engine === 'hashlife' && hashlifeSupported();
+    const nextState = useHashlife
+        ? hashlifeAdvance(chunks, hashlifeStepExp)
+        : computeNextState(chunks, dyingChunks);
+    const nextDying = computeNextDying(chunks, nextState, dyingChunks);
     
     // Update ages if tracking enabled
     if (ageTrackingEnabled) {
@@ -962,7 +2183,8 @@ function step() {
     updateBboxFromChunks(nextState);
     
     chunks = nextState;
-    generation++;
+    dyingChunks = nextDying;
+    generation += useHashlife ? 2 ** hashlifeStepExp : 1;
     
     // Push delta to history (after chunks is updated)
     pushHistoryDelta();
@@ -1215,6 +2437,8 @@ function sendUpdate() {
         fps: { actual: actualFps, target: fps },
         chunks: chunks.size,
         historySize: historyBuffer.length,
+        states: ruleStates,
+        topology: topology,
     };
     
     const transferables = [buffer.buffer];
@@ -1224,6 +2448,45 @@ function sendUpdate() {
         transferables.push(ageBuffer.buffer);
     }
     
+    // Build dying-state buffer for Generations rules
+    if (ruleStates > 2 && dyingChunks.size > 0) {
+        const dyingBuffer = new Uint8Array(viewW * viewH);
+        
+        for (let cy = startCy; cy <= endCy; cy++) {
+            for (let cx = startCx; cx <= endCx; cx++) {
+                const dying = dyingChunks.get(getChunkKey(cx, cy));
+                if (!dying) continue;
+                
+                const chunkX = cx * CHUNK_SIZE;
+                const chunkY = cy * CHUNK_SIZE;
+                
+                const intersectX = Math.max(viewX, chunkX);
+                const intersectY = Math.max(viewY, chunkY);
+                const intersectW = Math.min(viewX + viewW, chunkX + CHUNK_SIZE) - intersectX;
+                const intersectH = Math.min(viewY + viewH, chunkY + CHUNK_SIZE) - intersectY;
+                
+                if (intersectW <= 0 || intersectH <= 0) continue;
+                
+                for (let y = 0; y < intersectH; y++) {
+                    const globalY = intersectY + y;
+                    const srcY = globalY - chunkY;
+                    const destY = globalY - viewY;
+                    
+                    for (let x = 0; x < intersectW; x++) {
+                        const globalX = intersectX + x;
+                        const srcX = globalX - chunkX;
+                        const destX = globalX - viewX;
+                        
+                        dyingBuffer[destY * viewW + destX] = dying[srcY * CHUNK_SIZE + srcX];
+                    }
+                }
+            }
+        }
+        
+        payload.dying = dyingBuffer;
+        transferables.push(dyingBuffer.buffer);
+    }
+    
     // Build heatmap buffer if enabled
     let heatmapBuffer = null;
     if (heatmapEnabled) {
@@ -1267,9 +2530,145 @@ function sendUpdate() {
     self.postMessage({ type: 'update', payload }, transferables);
 }
 
+// --- Recording ---
+//
+// A recording runs on its own copy of the universe, swapped in for one time
+// slice at a time so progress can be reported and the UI can cancel it.
+// It steps up to `from`, then (with `all`) measures the bounding box over
+// the range and goes back to `from`, then samples every generation.
+
+let recordJob = null; // { payload, from, to, rule, bounds, start, rect, cols, rows, frames, done, total, state, timer }
+
+function stopRecording() {
+    if (recordJob && recordJob.timer !== null) clearTimeout(recordJob.timer);
+    recordJob = null;
+}
+
+// Run the recording for one time slice, then report and yield to the message queue
+function recordBatch() {
+    const job = recordJob;
+    job.timer = null;
+    const live = saveRecordingState();
+    restoreRecordingState(job.state);
+    const deadline = performance.now() + CONFIG.RECORD_BATCH_MS;
+    let result = job.rule === currentRuleString ? null : { error: 'The rule changed while recording' };
+    while (!result && performance.now() < deadline) result = recordWork(job);
+    job.state = saveRecordingState();
+    restoreRecordingState(live);
+    
+    if (!result) {
+        self.postMessage({ type: 'recordProgress', payload: job.done / job.total });
+        job.timer = setTimeout(recordBatch, 0);
+        return;
+    }
+    recordJob = null;
+    if (result.error) {
+        self.postMessage({ type: 'recordError', payload: result.error });
+        return;
+    }
+    self.postMessage({
+        type: 'recordedFrames',
+        payload: {
+            frames: job.frames, cols: job.cols, rows: job.rows, states: ruleStates,
+            pixelsPerCell: job.pixelsPerCell, options: job.payload.options
+        }
+    }, job.transferables);
+}
+
+// One generation of recording work on the swapped-in universe.
+// Returns null to go on, { done: true } or { error }.
+function recordWork(job) {
+    if (generation < job.from) {
+        recordingStep();
+    } else if (job.bounds) {
+        if (!job.start) job.start = saveRecordingState();
+        const bounds = job.bounds;
+        const box = getExactBbox();
+        if (box) {
+            bounds.minX = Math.min(bounds.minX, box.x);
+            bounds.minY = Math.min(bounds.minY, box.y);
+            bounds.maxX = Math.max(bounds.maxX, box.x + box.w - 1);
+            bounds.maxY = Math.max(bounds.maxY, box.y + box.h - 1);
+        }
+        if (generation < job.to) {
+            recordingStep();
+        } else {
+            job.bounds = null;
+            if (bounds.minX === Infinity) return { error: 'Nothing to record' };
+            const error = recordLayout(job, {
+                x: bounds.minX, y: bounds.minY, w: bounds.maxX - bounds.minX + 1, h: bounds.maxY - bounds.minY + 1
+            });
+            if (error) return { error };
+            restoreRecordingState(job.start);
+        }
+    } else {
+        const { rect } = job;
+        const sample = sampleRegion(rect.x, rect.y, rect.w, rect.h, job.cellsPerPixel);
+        job.frames.push({ cells: sample.cells, ages: sample.ages, heat: sample.heat });
+        job.transferables.push(sample.cells.buffer);
+        if (sample.ages) job.transferables.push(sample.ages.buffer);
+        if (sample.heat) job.transferables.push(sample.heat.buffer);
+        if (generation >= job.to) return { done: true };
+        recordingStep();
+    }
+    job.done++;
+    return null;
+}
+
+// Set the recorded region and frame size, or return why it's too large
+function recordLayout(job, rect) {
+    const cellsPerPixel = Math.max(1, Math.floor(job.payload.cellsPerPixel) || 1);
+    const pixelsPerCell = Math.max(1, Math.floor(job.payload.pixelsPerCell) || 1);
+    const cols = Math.ceil(rect.w / cellsPerPixel);
+    const rows = Math.ceil(rect.h / cellsPerPixel);
+    const frameCount = job.to - job.from + 1;
+    const gridLine = imageGridLine(job.payload.options, pixelsPerCell);
+    const width = cols * pixelsPerCell + gridLine;
+    const height = rows * pixelsPerCell + gridLine;
+    if (width > CONFIG.RECORD_MAX_SIDE || height > CONFIG.RECORD_MAX_SIDE ||
+        cols * rows * pixelsPerCell ** 2 > CONFIG.RECORD_MAX_PIXELS ||
+        cols * rows * frameCount > CONFIG.RECORD_MAX_SAMPLES) {
+        return `${frameCount} frames of ${width}x${height} is too large; ` +
+            'choose a smaller scale, area or range';
+    }
+    Object.assign(job, { rect: { x: rect.x, y: rect.y, w: rect.w, h: rect.h }, cellsPerPixel, pixelsPerCell, cols, rows });
+    return null;
+}
+
+// Recording runs the universe ahead and then puts it back. The heatmap is
+// updated in place, so it is copied rather than referenced.
+function saveRecordingState() {
+    return {
+        chunks, dyingChunks, generation, totalPopulation, ageChunks, heatmapDecayCounter,
+        heatmapChunks: copyHeatmap(heatmapChunks),
+    };
+}
+
+function restoreRecordingState(saved) {
+    ({ chunks, dyingChunks, generation, totalPopulation, ageChunks, heatmapDecayCounter } = saved);
+    heatmapChunks = copyHeatmap(saved.heatmapChunks);
+}
+
+function copyHeatmap(source) {
+    const copy = new Map();
+    for (const [key, heatChunk] of source) copy.set(key, heatChunk.slice());
+    return copy;
+}
+
+// Step for recording: like stepSilent, but keeps ages and heatmap for coloring
+function recordingStep() {
+    const nextState = computeNextState(chunks, dyingChunks);
+    dyingChunks = computeNextDying(chunks, nextState, dyingChunks);
+    if (ageTrackingEnabled) updateAges(nextState);
+    if (heatmapEnabled) updateHeatmap(chunks, nextState);
+    chunks = nextState;
+    generation++;
+}
+
 // Silent step for generation jumping (no sendUpdate, no history, no age/heatmap)
 function stepSilent() {
-    const nextState = computeNextGeneration(chunks);
+    const nextState = computeNextState(chunks, dyingChunks);
+    dyingChunks = computeNextDying(chunks, nextState, dyingChunks);
     
     // Update population counter
     let newPop = 0;
@@ -1282,6 +2681,770 @@ function stepSilent() {
     generation++;
 }
 
+// --- Period Detection ---
+//
+// Every generation is fingerprinted (optionally relative to its top-left
+// corner, so spaceships match after moving) until a fingerprint repeats.
+// A repeat only counts once the earlier state, replayed from the start,
+// matches cell by cell. Like a recording, the search runs in time slices
+// on its own copy of the universe.
+
+// 32-bit mix of one cell; summing these keeps the fingerprint independent of Map order
+function mixCell(x, y, state, seed) {
+    let h = Math.imul(x, 0x9E3779B1) ^ Math.imul(y, 0x85EBCA77) ^ Math.imul(state, 0xC2B2AE3D) ^ seed;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return h ^ (h >>> 16);
+}
+
+// Live cells of every chunk as global coords, passed to visit(x, y)
+function forEachLiveCell(source, visit) {
+    for (const [key, chunk] of source) {
+        const [cx, cy] = key.split(',').map(Number);
+        for (let ly = 0; ly < CHUNK_SIZE; ly++) {
+            let word = chunk[ly];
+            while (word) {
+                const lx = 31 - Math.clz32(word & -word);
+                word &= word - 1;
+                visit(cx * CHUNK_SIZE + lx, cy * CHUNK_SIZE + ly);
+            }
+        }
+    }
+}
+
+/**
+ * Fingerprint the current state (live cells plus Generations dying states).
+ *
+ * @param {boolean} translate - Measure cells from the pattern's top-left corner
+ * @returns {{key: string, minX: number, minY: number}}
+ */
+function stateFingerprint(translate) {
+    let minX = 0, minY = 0;
+    if (translate) {
+        minX = Infinity;
+        minY = Infinity;
+        forEachLiveCell(chunks, (x, y) => {
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+        });
+        for (const [key, dying] of dyingChunks) {
+            const [cx, cy] = key.split(',').map(Number);
+            for (let i = 0; i < dying.length; i++) {
+                if (!dying[i]) continue;
+                minX = Math.min(minX, cx * CHUNK_SIZE + (i % CHUNK_SIZE));
+                minY = Math.min(minY, cy * CHUNK_SIZE + Math.floor(i / CHUNK_SIZE));
+            }
+        }
+    }
+    
+    let h1 = 0, h2 = 0;
+    forEachLiveCell(chunks, (x, y) => {
+        h1 = (h1 + mixCell(x - minX, y - minY, 1, 0x1234567)) | 0;
+        h2 = (h2 + mixCell(x - minX, y - minY, 1, 0x7654321)) | 0;
+    });
+    for (const [key, dying] of dyingChunks) {
+        const [cx, cy] = key.split(',').map(Number);
+        for (let i = 0; i < dying.length; i++) {
+            if (!dying[i]) continue;
+            const x = cx * CHUNK_SIZE + (i % CHUNK_SIZE) - minX;
+            const y = cy * CHUNK_SIZE + Math.floor(i / CHUNK_SIZE) - minY;
+            h1 = (h1 + mixCell(x, y, dying[i], 0x1234567)) | 0;
+            h2 = (h2 + mixCell(x, y, dying[i], 0x7654321)) | 0;
+        }
+    }
+    return { key: `${h1 >>> 0}:${h2 >>> 0}:${totalPopulation}`, minX, minY };
+}
+
+let periodJob = null; // { maxGens, translate, advance, seen, start, universe, steps, candidate, timer }
+
+function stopPeriodSearch() {
+    if (periodJob && periodJob.timer !== null) clearTimeout(periodJob.timer);
+    periodJob = null;
+}
+
+function saveUniverse() {
+    return { chunks, dyingChunks, generation, totalPopulation };
+}
+
+function restoreUniverse(saved) {
+    ({ chunks, dyingChunks, generation, totalPopulation } = saved);
+}
+
+// Search for one time slice on the job's universe, then report and yield to the message queue
+function periodBatch() {
+    const job = periodJob;
+    job.timer = null;
+    const live = saveUniverse();
+    restoreUniverse(job.universe);
+    const wasHistoryEnabled = historyEnabled;
+    historyEnabled = false;
+    const deadline = performance.now() + CONFIG.PERIOD_BATCH_MS;
+    let result = null;
+    while (!result && performance.now() < deadline) result = periodWork(job);
+    historyEnabled = wasHistoryEnabled;
+    job.universe = saveUniverse();
+    
+    if (!result) {
+        restoreUniverse(live);
+        self.postMessage({
+            type: 'jumpProgress',
+            payload: { current: job.universe.generation, target: job.start.generation + job.maxGens }
+        });
+        job.timer = setTimeout(periodBatch, 0);
+        return;
+    }
+    periodJob = null;
+    if (!job.advance) restoreUniverse(live);
+    // The stats panel showed progress generations, so refresh it either way
+    bboxDirty = true;
+    sendUpdate();
+    self.postMessage({ type: 'periodResult', payload: result });
+}
+
+/**
+ * One generation of period search work: fingerprint and step the search
+ * universe or, after a fingerprint match, replay the earlier state from the
+ * start to check the match cell by cell.
+ *
+ * @returns {null|{found: boolean, empty?: boolean, period?: number, dx?: number, dy?: number,
+ *            start?: number, description?: string, gens?: number}}
+ *          null to go on; `start` is the first generation of the cycle
+ */
+function periodWork(job) {
+    let fp;
+    if (job.candidate) {
+        const { prev, state } = job.candidate;
+        fp = job.candidate.fp;
+        if (generation < prev.gen) {
+            stepSilent();
+            return null;
+        }
+        const dx = fp.minX - prev.minX;
+        const dy = fp.minY - prev.minY;
+        const same = sameUniverse(saveUniverse(), state, dx, dy);
+        restoreUniverse(state);
+        job.candidate = null;
+        if (same) {
+            const period = generation - prev.gen;
+            return { found: true, period, dx, dy, start: prev.gen, description: describePeriod(period, dx, dy) };
+        }
+        // A fingerprint collision: search on from the later state
+    } else {
+        if (totalPopulation === 0 && dyingChunks.size === 0) {
+            return { found: true, empty: true, start: generation, description: 'dies out' };
+        }
+        fp = stateFingerprint(job.translate);
+        const prev = job.seen.get(fp.key);
+        if (prev) {
+            job.candidate = { prev, fp, state: saveUniverse() };
+            restoreUniverse(job.start);
+            return null;
+        }
+    }
+    job.seen.set(fp.key, { gen: generation, minX: fp.minX, minY: fp.minY });
+    
+    if (job.steps === job.maxGens) return { found: false, gens: job.maxGens };
+    stepSilent();
+    job.steps++;
+    return null;
+}
+
+// Whether universe `b` is universe `a` moved by (dx, dy), dying states included
+function sameUniverse(a, b, dx, dy) {
+    const cells = new Set();
+    forEachLiveCell(a.chunks, (x, y) => cells.add(`${x + dx},${y + dy}`));
+    let count = 0;
+    let same = true;
+    forEachLiveCell(b.chunks, (x, y) => {
+        count++;
+        if (!cells.has(`${x},${y}`)) same = false;
+    });
+    return same && count === cells.size &&
+        dyingCellList(a.dyingChunks, dx, dy) === dyingCellList(b.dyingChunks, 0, 0);
+}
+
+// Dying cells moved by (dx, dy) as a sorted "x,y,state" list, for comparison
+function dyingCellList(source, dx, dy) {
+    const list = [];
+    for (const [key, dying] of source) {
+        const [cx, cy] = key.split(',').map(Number);
+        for (let i = 0; i < dying.length; i++) {
+            if (!dying[i]) continue;
+            const x = cx * CHUNK_SIZE + (i % CHUNK_SIZE) + dx;
+            const y = cy * CHUNK_SIZE + Math.floor(i / CHUNK_SIZE) + dy;
+            list.push(`${x},${y},${dying[i]}`);
+        }
+    }
+    return list.sort().join(';');
+}
+
+// --- Soup Search ---
+//
+// apgsearch-style census. Soups are seeded from `${seed}${index}` and run on
+// a private universe (the infinite plane, even if the rule has a bounded
+// grid) until their population is periodic. The ash is split into objects:
+// cells within two cells of each other form a group, and a group is split
+// into its 8-connected parts when those evolve the same apart as together
+// over the group's period. Each object is then evolved on its own and named
+// by its apgcode (xs still lifes, xp oscillators, xq spaceships).
+
+let soupSearch = null; // { seed, rule, target, soups, unstable, census: Map<key, entry>, timer }
+
+function stopSoupSearch() {
+    if (soupSearch && soupSearch.timer !== null) {
+        clearTimeout(soupSearch.timer);
+        soupSearch.timer = null;
+    }
+}
+
+// Run soups for one time slice, then report and yield to the message queue
+function soupSearchBatch() {
+    const search = soupSearch;
+    search.timer = null;
+    const deadline = performance.now() + CONFIG.SOUP_BATCH_MS;
+    
+    while (performance.now() < deadline && (search.target === 0 || search.soups < search.target)) {
+        if (search.rule !== currentRuleString) break; // Rule changed under us
+        const ash = runSoup(`${search.seed}${search.soups}`);
+        if (ash) {
+            censusAsh(ash);
+        } else {
+            search.unstable++;
+        }
+        search.soups++;
+    }
+    
+    const done = search.rule !== currentRuleString ||
+        (search.target !== 0 && search.soups >= search.target);
+    if (!done) search.timer = setTimeout(soupSearchBatch, 0);
+    postCensus();
+}
+
+function postCensus() {
+    if (!soupSearch) return;
+    const entries = [...soupSearch.census.values()].sort((a, b) => b.count - a.count || (a.key < b.key ? -1 : 1));
+    self.postMessage({
+        type: 'census',
+        payload: {
+            seed: soupSearch.seed,
+            rule: soupSearch.rule,
+            soups: soupSearch.soups,
+            unstable: soupSearch.unstable,
+            running: soupSearch.timer !== null,
+            entries
+        }
+    });
+}
+
+function coordsToChunkMap(coords) {
+    const map = new Map();
+    for (const [x, y] of coords) setCellIn(map, x, y);
+    return map;
+}
+
+function chunkMapToCoords(map) {
+    const coords = [];
+    forEachLiveCell(map, (x, y) => coords.push([x, y]));
+    return coords;
+}
+
+/**
+ * Run one soup until it settles.
+ *
+ * @param {string} seed - PRNG seed for this soup
+ * @returns {[number, number][] | null} Live cells of the ash, or null if it never settled
+ */
+function runSoup(seed) {
+    const rng = createRng(seed);
+    const half = CONFIG.SOUP_SIZE / 2;
+    let state = new Map();
+    for (let y = 0; y < CONFIG.SOUP_SIZE; y++) {
+        for (let x = 0; x < CONFIG.SOUP_SIZE; x++) {
+            if (rng() < CONFIG.SOUP_DENSITY) setCellIn(state, x - half, y - half);
+        }
+    }
+    
+    const pops = [];
+    for (let gen = 0; gen < CONFIG.SOUP_MAX_GENS; gen++) {
+        let pop = 0;
+        for (const chunk of state.values()) pop += countChunkPopulation(chunk);
+        if (pop === 0) return [];
+        if (pop > CONFIG.SOUP_MAX_POP) return null;
+        
+        pops.push(pop);
+        if (gen % 30 === 0 && populationSettled(pops)) return chunkMapToCoords(state);
+        state = computeNextGeneration(state);
+    }
+    return null;
+}
+
+// Has the population been periodic (period <= SOUP_MAX_PERIOD) for a while?
+function populationSettled(pops) {
+    const t = pops.length - 1;
+    for (let p = 1; p <= CONFIG.SOUP_MAX_PERIOD; p++) {
+        const span = Math.max(120, 4 * p);
+        if (t - span - p < 0) return false; // Not enough history for this or longer periods
+        
+        let periodic = true;
+        for (let i = 0; i < span && periodic; i++) {
+            periodic = pops[t - i] === pops[t - i - p];
+        }
+        if (periodic) return true;
+    }
+    return false;
+}
+
+// Union cells whose Chebyshev distance is at most `dist`
+function groupCells(coords, dist) {
+    const index = new Map();
+    coords.forEach(([x, y], i) => index.set(`${x},${y}`, i));
+    const parent = coords.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+    
+    coords.forEach(([x, y], i) => {
+        for (let dy = -dist; dy <= dist; dy++) {
+            for (let dx = -dist; dx <= dist; dx++) {
+                const j = index.get(`${x + dx},${y + dy}`);
+                if (j !== undefined) parent[find(i)] = find(j);
+            }
+        }
+    });
+    
+    const groups = new Map();
+    coords.forEach((cell, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(cell);
+    });
+    return [...groups.values()];
+}
+
+function cellsKey(coords) {
+    return coords.map(([x, y]) => `${x},${y}`).sort().join(';');
+}
+
+// Split a periodic group into its 8-connected parts if they don't interact
+function splitGroup(group, period) {
+    const parts = groupCells(group, 1);
+    if (parts.length < 2) return [group];
+    
+    let together = coordsToChunkMap(group);
+    let apart = parts.map(coordsToChunkMap);
+    for (let gen = 0; gen < period; gen++) {
+        together = computeNextGeneration(together);
+        apart = apart.map(map => computeNextGeneration(map));
+        const merged = apart.flatMap(chunkMapToCoords);
+        if (cellsKey(merged) !== cellsKey(chunkMapToCoords(together))) return [group];
+    }
+    return parts;
+}
+
+/**
+ * Evolve an isolated object until it repeats, up to translation.
+ *
+ * @returns {{period: number, dx: number, dy: number, phases: [number, number][][]} | null}
+ */
+function classifyObject(coords) {
+    let state = coordsToChunkMap(coords);
+    const seen = new Map(); // normalized cells -> { gen, minX, minY }
+    const phases = [];
+    
+    for (let gen = 0; gen <= CONFIG.OBJECT_MAX_PERIOD; gen++) {
+        const cells = chunkMapToCoords(state);
+        if (cells.length === 0) return null;
+        
+        let minX = Infinity, minY = Infinity;
+        for (const [x, y] of cells) {
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+        }
+        const key = cellsKey(cells.map(([x, y]) => [x - minX, y - minY]));
+        const prev = seen.get(key);
+        if (prev) {
+            return {
+                period: gen - prev.gen,
+                dx: minX - prev.minX,
+                dy: minY - prev.minY,
+                phases: phases.slice(prev.gen)
+            };
+        }
+        seen.set(key, { gen, minX, minY });
+        phases.push(cells);
+        state = computeNextGeneration(state);
+    }
+    return null;
+}
+
+// apgcode and kind for a classifyObject result
+function objectApgcode(result) {
+    const { period, dx, dy, phases } = result;
+    if (dx !== 0 || dy !== 0) return { code: coordsToApgcode(phases, `xq${period}`), kind: 'spaceship' };
+    if (period === 1) return { code: coordsToApgcode(phases), kind: 'still life' };
+    return { code: coordsToApgcode(phases, `xp${period}`), kind: 'oscillator' };
+}
+
+// Census entry for an object (classifyObject result)
+function censusEntry(coords, result) {
+    if (!result) {
+        return { key: 'unclassified', kind: 'unclassified', period: 0, cells: coords.length, rle: '' };
+    }
+    const { code, kind } = objectApgcode(result);
+    const cells = apgcodeToCoords(code);
+    return { key: code, kind, period: result.period, cells: cells.length, rle: coordsToRLE(cells).replace(/\n/g, '') };
+}
+
+function censusAsh(ash) {
+    const census = soupSearch.census;
+    const tally = (entry) => {
+        const existing = census.get(entry.key);
+        if (existing) {
+            existing.count++;
+        } else {
+            census.set(entry.key, { ...entry, count: 1 });
+        }
+    };
+    
+    for (const group of groupCells(ash, 2)) {
+        const result = classifyObject(group);
+        const objects = result ? splitGroup(group, result.period) : [group];
+        if (objects.length === 1) {
+            tally(censusEntry(group, result));
+        } else {
+            for (const object of objects) tally(censusEntry(object, classifyObject(object)));
+        }
+    }
+}
+
+// --- HashLife Engine ---
+//
+// Gosper's algorithm: the universe is a quadtree of hash-consed nodes, so
+// identical subtrees are stored once and each node memoizes the state of its
+// center after 2^j generations. `chunks` stays the source of truth: the tree
+// is built from it before advancing and flattened back into it afterwards.
+//
+// Node: { level, nw, ne, sw, se, pop, id, results }
+//   - level 0 nodes are single cells (HL_DEAD / HL_ALIVE)
+//   - a level-L node covers 2^L x 2^L cells
+//   - results[j] is the level L-1 center advanced 2^j generations (j <= L-2)
+
+const HL_DEAD = { level: 0, pop: 0, id: 0 };
+const HL_ALIVE = { level: 0, pop: 1, id: 1 };
+
+let hlTable = new Map(); // "nwId,neId,swId,seId" -> node
+let hlEmpty = [HL_DEAD]; // hlEmpty[level] -> canonical empty node
+let hlNextId = 2;
+
+// Drop all memoized nodes (rule change, engine switch or table overflow)
+function hlReset() {
+    hlTable = new Map();
+    hlEmpty = [HL_DEAD];
+    hlNextId = 2;
+}
+
+// HashLife assumes empty space stays empty, which rules out B0, its
+// nodes only hold two states, which rules out Generations, and it has no
+// notion of edges, which rules out bounded grids
+function hashlifeSupported() {
+    return !birthRule[0] && ruleStates === 2 && !topology;
+}
+
+function hlJoin(nw, ne, sw, se) {
+    const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+    let node = hlTable.get(key);
+    if (!node) {
+        node = {
+            level: nw.level + 1,
+            nw, ne, sw, se,
+            pop: nw.pop + ne.pop + sw.pop + se.pop,
+            id: hlNextId++,
+            results: null
+        };
+        hlTable.set(key, node);
+    }
+    return node;
+}
+
+function hlEmptyNode(level) {
+    while (hlEmpty.length <= level) {
+        const e = hlEmpty[hlEmpty.length - 1];
+        hlEmpty.push(hlJoin(e, e, e, e));
+    }
+    return hlEmpty[level];
+}
+
+// Level L-1 node at the center of a level L node (no time advance)
+function hlCenter(node) {
+    return hlJoin(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw);
+}
+
+// Base case: advance the 2x2 center of a 4x4 node by one generation
+function hlBaseStep(node) {
+    const grid = [
+        [node.nw.nw, node.nw.ne, node.ne.nw, node.ne.ne],
+        [node.nw.sw, node.nw.se, node.ne.sw, node.ne.se],
+        [node.sw.nw, node.sw.ne, node.se.nw, node.se.ne],
+        [node.sw.sw, node.sw.se, node.se.sw, node.se.se],
+    ];
+    // Rule table lookup handles totalistic and non-totalistic rules alike
+    const next = (x, y) => {
+        let idx = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                idx |= grid[y + dy][x + dx].pop << ((dy + 1) * 3 + dx + 1);
+            }
+        }
+        return ruleTable[idx] ? HL_ALIVE : HL_DEAD;
+    };
+    return hlJoin(next(1, 1), next(2, 1), next(1, 2), next(2, 2));
+}
+
+/**
+ * Advance the center of a node by 2^j generations.
+ *
+ * @param {Object} node - Level L node (L >= 2)
+ * @param {number} j - Step exponent, 0 <= j <= L-2
+ * @returns {Object} Level L-1 node: the center 2^(L-1) square after 2^j generations
+ */
+function hlAdvance(node, j) {
+    if (node.pop === 0) return hlEmptyNode(node.level - 1);
+    if (node.results && node.results[j]) return node.results[j];
+
+    let result;
+    if (node.level === 2) {
+        result = hlBaseStep(node);
+    } else {
+        const { nw, ne, sw, se } = node;
+
+        // Nine overlapping level L-1 subnodes
+        const m00 = nw;
+        const m01 = hlJoin(nw.ne, ne.nw, nw.se, ne.sw);
+        const m02 = ne;
+        const m10 = hlJoin(nw.sw, nw.se, sw.nw, sw.ne);
+        const m11 = hlJoin(nw.se, ne.sw, sw.ne, se.nw);
+        const m12 = hlJoin(ne.sw, ne.se, se.nw, se.ne);
+        const m20 = sw;
+        const m21 = hlJoin(sw.ne, se.nw, sw.se, se.sw);
+        const m22 = se;
+
+        // Full speed (j = L-2) splits the jump into two halves of 2^(L-3);
+        // slower steps only advance once, on the second pass
+        const fast = j === node.level - 2;
+        const first = fast ? (m) => hlAdvance(m, j - 1) : hlCenter;
+        const secondExp = fast ? j - 1 : j;
+
+        const r00 = first(m00), r01 = first(m01), r02 = first(m02);
+        const r10 = first(m10), r11 = first(m11), r12 = first(m12);
+        const r20 = first(m20), r21 = first(m21), r22 = first(m22);
+
+        result = hlJoin(
+            hlAdvance(hlJoin(r00, r01, r10, r11), secondExp),
+            hlAdvance(hlJoin(r01, r02, r11, r12), secondExp),
+            hlAdvance(hlJoin(r10, r11, r20, r21), secondExp),
+            hlAdvance(hlJoin(r11, r12, r21, r22), secondExp)
+        );
+    }
+
+    if (!node.results) node.results = [];
+    node.results[j] = result;
+    return result;
+}
+
+// Build a node from a square block of a chunk (local coords x, y; size 2^level)
+function hlBuildBlock(chunk, x, y, level) {
+    if (level === 0) {
+        return (chunk[y] >>> x) & 1 ? HL_ALIVE : HL_DEAD;
+    }
+    const size = 1 << level;
+    const mask = size >= BITS ? 0xFFFFFFFF : ((1 << size) - 1) << x;
+    let any = 0;
+    for (let ly = y; ly < y + size; ly++) any |= chunk[ly] & mask;
+    if (any === 0) return hlEmptyNode(level);
+
+    const half = size >> 1;
+    return hlJoin(
+        hlBuildBlock(chunk, x, y, level - 1),
+        hlBuildBlock(chunk, x + half, y, level - 1),
+        hlBuildBlock(chunk, x, y + half, level - 1),
+        hlBuildBlock(chunk, x + half, y + half, level - 1)
+    );
+}
+
+// Assemble chunk nodes ([cx, cy, node]) into a 2^k x 2^k chunk region
+function hlBuildRegion(entries, cx0, cy0, k) {
+    if (entries.length === 0) return hlEmptyNode(5 + k);
+    if (k === 0) return entries[0][2];
+
+    const half = 1 << (k - 1);
+    const quads = [[], [], [], []];
+    for (const entry of entries) {
+        const east = entry[0] >= cx0 + half ? 1 : 0;
+        const south = entry[1] >= cy0 + half ? 2 : 0;
+        quads[east + south].push(entry);
+    }
+    return hlJoin(
+        hlBuildRegion(quads[0], cx0, cy0, k - 1),
+        hlBuildRegion(quads[1], cx0 + half, cy0, k - 1),
+        hlBuildRegion(quads[2], cx0, cy0 + half, k - 1),
+        hlBuildRegion(quads[3], cx0 + half, cy0 + half, k - 1)
+    );
+}
+
+/**
+ * Convert a chunks Map into a quadtree.
+ *
+ * @param {Map<string, Uint32Array>} srcChunks
+ * @returns {{root: Object, x: number, y: number}} Root node and global coords of its top-left cell
+ */
+function hlFromChunks(srcChunks) {
+    const entries = [];
+    let minCx = Infinity, maxCx = -Infinity, minCy = Infinity, maxCy = -Infinity;
+
+    for (const [key, chunk] of srcChunks) {
+        const [cx, cy] = key.split(',').map(Number);
+        entries.push([cx, cy, hlBuildBlock(chunk, 0, 0, 5)]);
+        if (cx < minCx) minCx = cx;
+        if (cx > maxCx) maxCx = cx;
+        if (cy < minCy) minCy = cy;
+        if (cy > maxCy) maxCy = cy;
+    }
+
+    if (entries.length === 0) return { root: hlEmptyNode(5), x: 0, y: 0 };
+
+    const span = Math.max(maxCx - minCx, maxCy - minCy) + 1;
+    let k = 0;
+    while ((1 << k) < span) k++;
+
+    return {
+        root: hlBuildRegion(entries, minCx, minCy, k),
+        x: minCx * CHUNK_SIZE,
+        y: minCy * CHUNK_SIZE
+    };
+}
+
+// Set a live cell in an arbitrary chunks Map
+function setCellIn(target, x, y) {
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cy = Math.floor(y / CHUNK_SIZE);
+    const key = getChunkKey(cx, cy);
+    let chunk = target.get(key);
+    if (!chunk) {
+        chunk = new Uint32Array(CHUNK_SIZE);
+        target.set(key, chunk);
+    }
+    chunk[y - cy * CHUNK_SIZE] |= (1 << (x - cx * CHUNK_SIZE));
+}
+
+// Flatten a quadtree back into a chunks Map (skips empty subtrees)
+function hlToChunks(root, x0, y0) {
+    const result = new Map();
+    const stack = [[root, x0, y0]];
+
+    while (stack.length > 0) {
+        const [node, x, y] = stack.pop();
+        if (node.pop === 0) continue;
+        if (node.level === 0) {
+            setCellIn(result, x, y);
+            continue;
+        }
+        const half = 2 ** (node.level - 1);
+        stack.push([node.se, x + half, y + half]);
+        stack.push([node.sw, x, y + half]);
+        stack.push([node.ne, x + half, y]);
+        stack.push([node.nw, x, y]);
+    }
+    return result;
+}
+
+// Wrap the root in a node twice its size, keeping it centered
+function hlExpand(state) {
+    const { root, x, y } = state;
+    const e = hlEmptyNode(root.level - 1);
+    const quarter = 2 ** (root.level - 1);
+    return {
+        root: hlJoin(
+            hlJoin(e, e, e, root.nw),
+            hlJoin(e, e, root.ne, e),
+            hlJoin(e, root.sw, e, e),
+            hlJoin(root.se, e, e, e)
+        ),
+        x: x - quarter,
+        y: y - quarter
+    };
+}
+
+// Drop empty borders so the tree does not keep growing between steps
+function hlShrink(state) {
+    let { root, x, y } = state;
+    while (root.level > 5) {
+        const { nw, ne, sw, se } = root;
+        const border = nw.pop - nw.se.pop + ne.pop - ne.sw.pop +
+                       sw.pop - sw.ne.pop + se.pop - se.nw.pop;
+        if (border !== 0) break;
+        const offset = 2 ** (root.level - 2);
+        root = hlCenter(root);
+        x += offset;
+        y += offset;
+    }
+    return { root, x, y };
+}
+
+/**
+ * Advance a tree state by exactly 2^exp generations.
+ * The root is padded first so the pattern's light cone stays inside the result.
+ */
+function hlStep(state, exp) {
+    while (state.root.level < exp + 2) state = hlExpand(state);
+    state = hlExpand(hlExpand(state));
+
+    const offset = 2 ** (state.root.level - 2);
+    return hlShrink({
+        root: hlAdvance(state.root, exp),
+        x: state.x + offset,
+        y: state.y + offset
+    });
+}
+
+// Flush the memo table between steps if it grew too large
+function hlCollect(state) {
+    if (hlTable.size <= CONFIG.HASHLIFE_MAX_NODES) return state;
+    const flat = hlToChunks(state.root, state.x, state.y);
+    hlReset();
+    return hlFromChunks(flat);
+}
+
+// Advance a chunks Map by 2^exp generations (used by step() in hashlife mode)
+function hashlifeAdvance(srcChunks, exp) {
+    const state = hlCollect(hlStep(hlFromChunks(srcChunks), exp));
+    return hlToChunks(state.root, state.x, state.y);
+}
+
+// Jump forward an arbitrary number of generations, one power of two at a time
+function hashlifeJump(steps, targetGen) {
+    let state = hlFromChunks(chunks);
+    let remaining = steps;
+    let exp = 0;
+
+    while (remaining > 0) {
+        if (remaining % 2 === 1) {
+            state = hlCollect(hlStep(state, exp));
+            generation += 2 ** exp;
+            self.postMessage({
+                type: 'jumpProgress',
+                payload: { current: generation, target: targetGen }
+            });
+        }
+        remaining = Math.floor(remaining / 2);
+        exp++;
+    }
+
+    chunks = hlToChunks(state.root, state.x, state.y);
+    totalPopulation = state.root.pop;
+    bboxDirty = true;
+}
+
 // FPS tracking
 let frameCount = 0;
 let actualFps = 0;
@@ -90,6 +90,58 @@ x = 3, y = 1, rule = B3/S23
     expect(result.coords).toEqual([[0, 0], [1, 0], [2, 0]]);
   });
 
+  it('returns header size and rule', () => {
+    const result = parseRLE('x = 12, y = 5, rule = B36/S23\n3o!');
+    expect(result.width).toBe(12);
+    expect(result.height).toBe(5);
+    expect(result.rule).toBe('B36/S23');
+  });
+
+  it('keeps commas in bounded grid rules', () => {
+    const result = parseRLE('x=3,y=1,rule=B3/S23:T100,80\n3o!');
+    expect(result.rule).toBe('B3/S23:T100,80');
+  });
+
+  it('returns nulls without a header', () => {
+    const result = parseRLE('3o!');
+    expect(result.width).toBeNull();
+    expect(result.height).toBeNull();
+    expect(result.rule).toBeNull();
+    expect(parseRLE('x = 3, y = 1\n3o!').rule).toBeNull();
+  });
+
+  it('reads the #CXRLE position and generation', () => {
+    const result = parseRLE('#CXRLE Pos=-12,5 Gen=340\nx = 3, y = 1, rule = B3/S23\n3o!');
+    expect(result.position).toEqual({ x: -12, y: 5 });
+    expect(result.generation).toBe(340);
+    expect(parseRLE('#CXRLE Gen=7\n3o!').position).toBeNull();
+    expect(parseRLE('3o!').generation).toBeNull();
+  });
+
+  it('formats the #CXRLE line', () => {
+    const { formatCXRLE, parseCXRLE } = Lib;
+    expect(formatCXRLE(-3, 4)).toBe('#CXRLE Pos=-3,4');
+    expect(parseCXRLE(formatCXRLE(-3, 4, 99))).toEqual({ position: { x: -3, y: 4 }, generation: 99 });
+  });
+
+  it('returns #N, #O and #C metadata', () => {
+    const result = parseRLE('#CXRLE Pos=0,0\n#N Glider\n#O Richard K. Guy\n#C Found in 1969.\n#C\n#c Moves c/4.\nx = 3, y = 3\nbo$2bo$3o!');
+    expect(result.metadata).toEqual({
+      name: 'Glider',
+      author: 'Richard K. Guy',
+      comments: ['Found in 1969.', '', 'Moves c/4.'],
+    });
+    expect(parseRLE('3o!').metadata).toEqual({ name: '', author: '', comments: [] });
+  });
+
+  it('round-trips metadata lines', () => {
+    const { formatPatternMetadata, parsePatternMetadata } = Lib;
+    const metadata = { name: 'Glider', author: '', comments: ['First line', '', 'Third'] };
+    const lines = formatPatternMetadata(metadata);
+    expect(lines).toEqual(['#N Glider', '#C First line', '#C', '#C Third']);
+    expect(parsePatternMetadata(lines.join('\n'))).toEqual(metadata);
+  });
+
   it('handles alternate syntax (* and .)', () => {
     const result = parseRLE('.*.$*.*.$.*.!');
     expect(result.ok).toBe(true);
@@ -146,6 +198,100 @@ describe('coordsToRLE', () => {
   });
 });
 
+describe('plaintext and Life 1.06', () => {
+  const { parsePlaintext, parseLife106, parsePatternText } = Lib;
+  const GLIDER = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+
+  it('parses plaintext with comments', () => {
+    const result = parsePlaintext('!Name: Glider\n.O\n..O\nOOO');
+    expect(result).toEqual({ ok: true, coords: GLIDER });
+  });
+
+  it('rejects unknown plaintext characters', () => {
+    expect(parsePlaintext('.O\n.X').ok).toBe(false);
+  });
+
+  it('parses Life 1.06 and shifts to the origin', () => {
+    const result = parseLife106('#Life 1.06\n0 -1\n1 0\n-1 1\n0 1\n1 1');
+    expect(result).toEqual({ ok: true, coords: GLIDER });
+  });
+
+  it('rejects malformed Life 1.06 lines', () => {
+    expect(parseLife106('#Life 1.06\n0 1 2').ok).toBe(false);
+  });
+
+  it('detects the format of clipboard text', () => {
+    const formats = [
+      ['x = 3, y = 3, rule = B3/S23\nbo$2bo$3o!', 'rle'],
+      ['bo$2bo$3o!', 'rle'],
+      ['!Name: Glider\r\n.O\r\n..O\r\nOOO\r\n', 'plaintext'],
+      ['#Life 1.06\n0 -1\n1 0\n-1 1\n0 1\n1 1', 'life106'],
+      ['1 0\n2 1\n0 2\n1 2\n2 2', 'life106'],
+      ['xq4_153', 'apgcode'],
+    ];
+    for (const [text, format] of formats) {
+      const result = parsePatternText(text);
+      expect(result.format).toBe(format);
+      expect(result.coords.length).toBe(5);
+    }
+    expect(parsePatternText('x = 3, y = 3, rule = B36/S23\n3o!').rule).toBe('B36/S23');
+  });
+});
+
+describe('Life 1.05 and cell-list writers', () => {
+  const { parseLife105, coordsToLife105, coordsToLife106, coordsToPlaintext, detectPatternFormat, parsePatternText } = Lib;
+  const GLIDER = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+  const moved = GLIDER.map(([x, y]) => [x - 40, y + 7]);
+
+  it('parses Life 1.05 blocks at their positions', () => {
+    const result = parseLife105('#Life 1.05\n#D Glider\n#R 23/36\n#P -1 -1\n.*\n..*\n#P -1 1\n***');
+    expect(result).toEqual({ ok: true, coords: GLIDER.map(([x, y]) => [x - 1, y - 1]), rule: '23/36' });
+    expect(parseLife105('#N\n#P 0 0\n*').rule).toBe('B3/S23');
+    expect(parseLife105('#P 0 0\n.x').ok).toBe(false);
+  });
+
+  it('round-trips Life 1.05 with the rule', () => {
+    const text = coordsToLife105(moved, 'B36/S23', ['Glider']);
+    expect(text).toContain('#D Glider');
+    expect(text).toContain('#R 23/36');
+    expect(parseLife105(text).coords).toEqual(moved);
+    expect(coordsToLife105(moved, 'B3/S23')).toContain('#N');
+    expect(coordsToLife105(moved, 'B3/S23/4')).not.toContain('#R');
+  });
+
+  it('splits Life 1.05 blocks at 80 columns', () => {
+    const cells = [[0, 0], [100, 3], [-81, 2]];
+    const text = coordsToLife105(cells);
+    expect(text.split('\n').filter(line => line.startsWith('#P'))).toHaveLength(3);
+    expect(parseLife105(text).coords).toEqual(expect.arrayContaining(cells));
+  });
+
+  it('round-trips Life 1.06 and plaintext', () => {
+    expect(parsePatternText(coordsToLife106(moved), true).coords).toEqual(moved);
+    const plain = coordsToPlaintext(moved, ['Name: Glider']);
+    expect(plain).toBe('!Name: Glider\n.O\n..O\nOOO\n');
+    expect(parsePatternText(plain).coords).toEqual(GLIDER);
+  });
+
+  it('reads plaintext and Life 1.05 comments as metadata', () => {
+    const metadata = { name: 'Glider', author: 'Richard K. Guy', comments: ['The smallest spaceship.', ''] };
+    const notes = ['Name: Glider', 'Author: Richard K. Guy', 'The smallest spaceship.', ''];
+    expect(parsePatternText(coordsToPlaintext(moved, notes)).metadata).toEqual(metadata);
+    expect(parsePatternText(coordsToLife105(moved, null, notes)).metadata).toEqual(metadata);
+    expect(parsePatternText(coordsToLife106(moved)).metadata).toEqual({ name: '', author: '', comments: [] });
+  });
+
+  it('detects formats by their headers', () => {
+    expect(detectPatternFormat(coordsToLife105(moved))).toBe('life105');
+    expect(detectPatternFormat(coordsToLife106(moved))).toBe('life106');
+    expect(detectPatternFormat('!Name: Glider\n!\n.O\n..O\nOOO')).toBe('plaintext');
+    expect(detectPatternFormat('#N Glider\nx = 3, y = 3\nbo$2bo$3o!')).toBe('rle');
+    expect(detectPatternFormat('#N Glider\n#P -1 -1\nx = 3, y = 3\nbo$2bo$3o!')).toBe('rle');
+    expect(detectPatternFormat('#P -1 -1\n.*\n..*\n***')).toBe('life105');
+    expect(parsePatternText(coordsToLife105(moved)).coords).toEqual(GLIDER);
+  });
+});
+
 describe('parseRule', () => {
   const { parseRule } = Lib;
 
@@ -181,6 +327,30 @@ describe('parseRule', () => {
     expect(rule.birth[3]).toBe(true);
   });
 
+  it('defaults to two states for Life-like rules', () => {
+    expect(parseRule('B3/S23').states).toBe(2);
+  });
+
+  it('parses Generations B/S/C (Brian\'s Brain B2/S/C3)', () => {
+    const rule = parseRule('B2/S/C3');
+    expect(rule.states).toBe(3);
+    expect(rule.birth[2]).toBe(true);
+    expect(rule.survival.every(s => !s)).toBe(true);
+  });
+
+  it('parses Generations S/B/C (Star Wars 345/2/4)', () => {
+    const rule = parseRule('345/2/4');
+    expect(rule.states).toBe(4);
+    expect(rule.birth[2]).toBe(true);
+    expect(rule.survival[3] && rule.survival[4] && rule.survival[5]).toBe(true);
+    expect(rule.survival[2]).toBe(false);
+  });
+
+  it('rejects out-of-range state counts', () => {
+    expect(parseRule('B2/S/C1')).toBeNull();
+    expect(parseRule('B2/S/C257')).toBeNull();
+  });
+
   it('returns null for invalid format', () => {
     expect(parseRule('invalid')).toBeNull();
     expect(parseRule('B3S23')).toBeNull(); // missing slash
@@ -214,6 +384,15 @@ describe('normalizeRule', () => {
     expect(normalizeRule('B63/S32')).toBe('B36/S23');
   });
 
+  it('normalizes Generations rules to B/S/C', () => {
+    expect(normalizeRule('345/2/4')).toBe('B2/S345/C4');
+    expect(normalizeRule('b2/s/c3')).toBe('B2/S/C3');
+  });
+
+  it('drops the state count for two-state rules', () => {
+    expect(normalizeRule('B3/S23/C2')).toBe('B3/S23');
+  });
+
   it('returns null for invalid', () => {
     expect(normalizeRule('invalid')).toBeNull();
   });
@@ -235,3 +414,413 @@ describe('popcount32', () => {
     expect(popcount32(0x7FFFFFFF)).toBe(31);
   });
 });
+
+describe('Hensel (isotropic non-totalistic) rules', () => {
+  const { parseRule, normalizeRule, buildRuleTable, rleToCoords } = Lib;
+
+  // Step a set of "x,y" cells with a 512-entry rule table
+  function stepCells(cells, table) {
+    const candidates = new Set();
+    for (const key of cells) {
+      const [x, y] = key.split(',').map(Number);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) candidates.add(`${x + dx},${y + dy}`);
+      }
+    }
+    const next = new Set();
+    for (const key of candidates) {
+      const [x, y] = key.split(',').map(Number);
+      let idx = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (cells.has(`${x + dx},${y + dy}`)) idx |= 1 << ((dy + 1) * 3 + dx + 1);
+        }
+      }
+      if (table[idx]) next.add(key);
+    }
+    return next;
+  }
+
+  // Period of a pattern (0 if it dies, -1 if not periodic within maxGen)
+  function period(rle, rule, maxGen = 100) {
+    const table = buildRuleTable(parseRule(rule));
+    const snapshot = (cells) => [...cells].sort().join(' ');
+    let cells = new Set(rleToCoords(rle).map(([x, y]) => `${x},${y}`));
+    const start = snapshot(cells);
+    for (let gen = 1; gen <= maxGen; gen++) {
+      cells = stepCells(cells, table);
+      if (cells.size === 0) return 0;
+      if (snapshot(cells) === start) return gen;
+    }
+    return -1;
+  }
+
+  it('parses letters and negation', () => {
+    const rule = parseRule('B2-a/S12');
+    expect(rule.isotropic).toBe(true);
+    expect(rule.birthLetters[2]).toBe('cekin');
+    expect(rule.survival[1] && rule.survival[2]).toBe(true);
+
+    const tlife = parseRule('B3/S2-i34q');
+    expect(tlife.survivalLetters[2]).toBe('cekan');
+    expect(tlife.survivalLetters[3]).toBe('cekainyqjr');
+    expect(tlife.survivalLetters[4]).toBe('q');
+  });
+
+  it('names neighborhoods by their Hensel letters', () => {
+    const index = Lib.getHenselIndex();
+    // Bits: 0 NW, 1 N, 2 NE, 3 W, 4 center, 5 E, 6 SW, 7 S, 8 SE
+    expect(index[0b001101001]).toBe('t'); // NW, W, SW + E
+    expect(index[0b001001110]).toBe('w'); // N, NE, W, SW
+    expect(index[0b001100101]).toBe('y'); // NW, NE, SW + E
+    expect(index[0b010000111]).toBe('t'); // NW, N, NE + S
+  });
+
+  it('builds B4t tables from the T shape', () => {
+    const table = buildRuleTable(parseRule('B4t/S'));
+    expect(table[105]).toBe(1);
+    expect(table[135]).toBe(1);
+    expect(table[78]).toBe(0);
+    expect(table[101]).toBe(0);
+    expect(table[105 | 16]).toBe(0);
+  });
+
+  it('is not isotropic when every count is complete', () => {
+    expect(parseRule('B3/S23').isotropic).toBe(false);
+    expect(parseRule('B3cekainyqjr/S2cekain3').isotropic).toBe(false);
+  });
+
+  it('rejects letters that do not exist for a count', () => {
+    expect(parseRule('B2z/S23')).toBeNull();  // z only exists for 4
+    expect(parseRule('B1a/S23')).toBeNull();  // 1 only has c and e
+    expect(parseRule('B3/S2-')).toBeNull();   // negation needs letters
+  });
+
+  it('normalizes to canonical letter order and shortest form', () => {
+    expect(normalizeRule('b3/s2nakec34q')).toBe('B3/S2-i34q');
+    expect(normalizeRule('B2ceikn/S12')).toBe('B2-a/S12');
+    expect(normalizeRule('B3cekainyqjr/S2cekain3cekainyqjr')).toBe('B3/S23');
+    expect(normalizeRule('B2e3-ajn/S23-a')).toBe('B2e3-anj/S23-a');
+  });
+
+  it('builds the same table as totalistic Life', () => {
+    const table = buildRuleTable(parseRule('B3/S23'));
+    for (let m = 0; m < 512; m++) {
+      const alive = (m >> 4) & 1;
+      let count = 0;
+      for (let b = 0; b < 9; b++) if (b !== 4 && (m >> b) & 1) count++;
+      const expected = alive ? (count === 2 || count === 3) : count === 3;
+      expect(table[m]).toBe(expected ? 1 : 0);
+    }
+  });
+
+  it('treats rotations and reflections alike', () => {
+    const table = buildRuleTable(parseRule('B2a/S'));
+    // N+NE, N+NW, E+SE, S+SW: all 2a, all births
+    expect(table[0b000000011]).toBe(1);
+    expect(table[0b000000110]).toBe(1);
+    expect(table[0b100100000]).toBe(1);
+    expect(table[0b011000000]).toBe(1);
+    // N+S (2i) is not
+    expect(table[0b010000010]).toBe(0);
+  });
+
+  it('keeps Life oscillator periods when Life is spelled out in letters', () => {
+    const life = 'B3cekainyqjr/S2cekain3cekainyqjr';
+    expect(period('3o!', life)).toBe(2);
+    expect(period('2b3o3b3o2b2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2b2$2b3o3b3o2b$o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!', life)).toBe(3);
+    expect(period('2bo4bo2b$2ob4ob2o$2bo4bo!', life)).toBe(15);
+  });
+
+  it('tlife (B3/S2-i34q): beacon is a still life, blinker dies', () => {
+    // Beacon's inner corners see a 4q neighborhood and survive
+    expect(period('2o$2o$2b2o$2b2o!', 'B3/S2-i34q')).toBe(1);
+    // Blinker's center sees 2i and dies
+    expect(period('3o!', 'B3/S2-i34q')).toBe(0);
+  });
+
+  it('B2-a/S12: four corners of a 3x3 box oscillate with period 3', () => {
+    expect(period('obo$$obo!', 'B2-a/S12')).toBe(3);
+  });
+
+  it('B3/S23-a: block dies, beehive and blinker are unaffected', () => {
+    expect(period('2o$2o!', 'B3/S23-a')).toBe(0);
+    expect(period('b2o$o2bo$b2o!', 'B3/S23-a')).toBe(1);
+    expect(period('3o!', 'B3/S23-a')).toBe(2);
+  });
+});
+
+describe('bounded grid topologies', () => {
+  const { parseRule, parseTopology, normalizeRule } = Lib;
+
+  it('parses torus and plane sizes', () => {
+    expect(parseTopology('T100,80')).toEqual({ type: 'T', width: 100, height: 80, twist: null });
+    expect(parseTopology('p64,64')).toEqual({ type: 'P', width: 64, height: 64, twist: null });
+  });
+
+  it('treats a single size as a square', () => {
+    expect(parseTopology('T50')).toEqual({ type: 'T', width: 50, height: 50, twist: null });
+  });
+
+  it('parses Klein bottle twists', () => {
+    expect(parseTopology('K100*,80').twist).toBe('x');
+    expect(parseTopology('K100,80*').twist).toBe('y');
+    expect(parseTopology('K100,80').twist).toBe('x');
+  });
+
+  it('rejects malformed or out-of-range topologies', () => {
+    expect(parseTopology('T0,10')).toBeNull();
+    expect(parseTopology('T100*,80')).toBeNull(); // only Klein bottles twist
+    expect(parseTopology('K10*,10*')).toBeNull();
+    expect(parseTopology('Q10,10')).toBeNull();
+    expect(parseTopology('T2000000,10')).toBeNull();
+  });
+
+  it('attaches the topology to a parsed rule', () => {
+    const rule = parseRule('B3/S23:T100,80');
+    expect(rule.birth[3]).toBe(true);
+    expect(rule.topology).toEqual({ type: 'T', width: 100, height: 80, twist: null });
+    expect(parseRule('B3/S23').topology).toBeNull();
+    expect(parseRule('B3/S23:X')).toBeNull();
+  });
+
+  it('normalizes the suffix', () => {
+    expect(normalizeRule('b3/s23:t64')).toBe('B3/S23:T64,64');
+    expect(normalizeRule('B2/S/C3:k40,30*')).toBe('B2/S/C3:K40,30*');
+  });
+});
+
+describe('describePeriod', () => {
+  const { describePeriod } = Lib;
+
+  it('names still lifes and oscillators', () => {
+    expect(describePeriod(1, 0, 0)).toBe('still life');
+    expect(describePeriod(15, 0, 0)).toBe('oscillator, period 15');
+  });
+
+  it('reduces orthogonal and diagonal speeds', () => {
+    expect(describePeriod(4, 1, 1)).toBe('c/4 diagonal, period 4');
+    expect(describePeriod(4, -2, 0)).toBe('c/2 orthogonal, period 4');
+    expect(describePeriod(10, 0, 1)).toBe('c/10 orthogonal, period 10');
+    expect(describePeriod(5, 2, 0)).toBe('2c/5 orthogonal, period 5');
+  });
+
+  it('writes oblique speeds with the larger offset first', () => {
+    expect(describePeriod(6, 1, -2)).toBe('(2,1)c/6 oblique, period 6');
+  });
+});
+
+describe('soup search helpers', () => {
+  const { createRng } = Lib;
+
+  it('createRng is reproducible per seed', () => {
+    const a = createRng('k_test0');
+    const b = createRng('k_test0');
+    const c = createRng('k_test1');
+    const seqA = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(seqA);
+    expect([c(), c(), c()]).not.toEqual(seqA);
+    for (const v of seqA) {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    }
+  });
+});
+
+describe('apgcodes', () => {
+  const { coordsToApgcode, apgcodeToCoords, isApgcode, rleToCoords } = Lib;
+
+  const KNOWN = [
+    ['xs4_33'], ['xs5_253'], ['xs6_696'], ['xs7_178c'], ['xs12_g8o653z11'],
+    ['xp2_7', 'xp2'], ['xp2_318c', 'xp2'], ['xp15_4r4z4r4', 'xp15'],
+    ['xq4_153', 'xq4'], ['xq4_6frc', 'xq4'],
+    ['xp3_co9nas0san9oczgoldlo0oldlogz1047210127401', 'xp3'],
+  ];
+
+  it('round-trips known Catagolue codes', () => {
+    for (const [code, prefix] of KNOWN) {
+      expect(coordsToApgcode(apgcodeToCoords(code), prefix)).toBe(code);
+    }
+  });
+
+  it('encodes any orientation to the canonical code', () => {
+    expect(coordsToApgcode(rleToCoords('2o$2o!'))).toBe('xs4_33');
+    expect(coordsToApgcode(rleToCoords('bo$2bo$3o!'), 'xq4')).toBe('xq4_153');
+    expect(coordsToApgcode(rleToCoords('3o$2bo$bo!'), 'xq4')).toBe('xq4_153');
+    expect(coordsToApgcode(rleToCoords('bo$obo$obo$bo!'))).toBe('xs6_696');
+  });
+
+  it('picks the canonical phase', () => {
+    const phases = [rleToCoords('obo$b2o$bo!'), rleToCoords('bo$2bo$3o!')];
+    expect(coordsToApgcode(phases[0], 'xq4')).not.toBe('xq4_153');
+    expect(coordsToApgcode(phases, 'xq4')).toBe('xq4_153');
+  });
+
+  it('decodes zero runs and strips', () => {
+    expect(apgcodeToCoords('xs4_33')).toEqual([[0, 0], [0, 1], [1, 0], [1, 1]]);
+    expect(apgcodeToCoords('xs2_1w1')).toEqual([[0, 0], [3, 0]]);
+    expect(apgcodeToCoords('xs2_1y01')).toEqual([[0, 0], [5, 0]]);
+    expect(apgcodeToCoords('xs2_1z1')).toEqual([[0, 0], [0, 5]]);
+  });
+
+  it('encodes long gaps', () => {
+    const cells = [[0, 0], [45, 0]];
+    const code = coordsToApgcode(cells);
+    expect(code).toBe('xs2_1yzy11'); // 44 empty columns = 39 + 5
+    expect(apgcodeToCoords(code)).toEqual(cells);
+  });
+
+  it('rejects non-apgcodes', () => {
+    expect(apgcodeToCoords('3o!')).toBeNull();
+    expect(apgcodeToCoords('yl144_1_16_afb5f3db909e60548f086e22ee3353ac')).toBeNull();
+    expect(isApgcode(' XS4_33 ')).toBe(true);
+    expect(isApgcode('hello')).toBe(false);
+  });
+});
+
+describe('shapes', () => {
+  const { lineCells, rectangleCells, ellipseCells, floodFillCells } = Lib;
+
+  it('draws Bresenham lines in any direction', () => {
+    expect(lineCells(0, 0, 3, 1)).toEqual([[0, 0], [1, 0], [2, 1], [3, 1]]);
+    expect(lineCells(2, 2, 0, 0)).toEqual([[2, 2], [1, 1], [0, 0]]);
+    expect(lineCells(5, 5, 5, 5)).toEqual([[5, 5]]);
+  });
+
+  it('draws hollow and filled rectangles', () => {
+    expect(rectangleCells(2, 2, 0, 0).length).toBe(8);
+    expect(rectangleCells(0, 0, 2, 2, true).length).toBe(9);
+    expect(rectangleCells(0, 0, 3, 0)).toEqual([[0, 0], [1, 0], [2, 0], [3, 0]]);
+  });
+
+  it('draws symmetric ellipse outlines', () => {
+    const cells = ellipseCells(0, 0, 6, 4);
+    const key = ([x, y]) => `${x},${y}`;
+    const set = new Set(cells.map(key));
+    for (const [x, y] of cells) {
+      expect(set.has(key([6 - x, y]))).toBe(true);
+      expect(set.has(key([x, 4 - y]))).toBe(true);
+    }
+    expect(set.has('3,0')).toBe(true);
+    expect(set.has('3,2')).toBe(false);
+  });
+
+  it('flood fills up to live cells', () => {
+    // 5x5 area with a hollow 3x3 box in the middle
+    const box = new Set(rectangleCells(1, 1, 3, 3).map(([x, y]) => `${x},${y}`));
+    const isLive = (x, y) => box.has(`${x},${y}`);
+    expect(floodFillCells(isLive, 2, 2, 5, 5)).toEqual({ cells: [[2, 2]], bounded: true, truncated: false });
+    const outside = floodFillCells(isLive, 0, 0, 5, 5);
+    expect(outside.cells.length).toBe(16);
+    expect(outside.bounded).toBe(false);
+    expect(floodFillCells(isLive, 1, 1, 5, 5).cells).toEqual([]);
+  });
+
+  it('stops flood fills at a cell limit', () => {
+    const result = floodFillCells(() => false, 50, 50, 100, 100, 10);
+    expect(result.cells.length).toBe(10);
+    expect(result.truncated).toBe(true);
+    expect(result.bounded).toBe(false);
+  });
+});
+
+describe('symmetricCells', () => {
+  const { symmetricCells } = Lib;
+  const sorted = (cells) => [...cells].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  it('mirrors about a cell center', () => {
+    // Center on cell (0, 0) -> doubled (1, 1)
+    expect(sorted(symmetricCells([[2, 1]], 'C2', 1, 1))).toEqual([[-2, -1], [2, 1]]);
+    expect(sorted(symmetricCells([[2, 1]], 'C4', 1, 1))).toEqual([[-2, -1], [-1, 2], [1, -2], [2, 1]]);
+    expect(sorted(symmetricCells([[2, 1]], 'D2|', 1, 1))).toEqual([[-2, 1], [2, 1]]);
+    expect(sorted(symmetricCells([[2, 1]], 'D2-', 1, 1))).toEqual([[2, -1], [2, 1]]);
+    expect(symmetricCells([[2, 1]], 'D8', 1, 1).length).toBe(8);
+  });
+
+  it('mirrors about a corner', () => {
+    // Center on the corner between cells (-1, -1) and (0, 0) -> doubled (0, 0)
+    expect(sorted(symmetricCells([[0, 0]], 'D4', 0, 0))).toEqual([[-1, -1], [-1, 0], [0, -1], [0, 0]]);
+  });
+
+  it('drops duplicates and images between cells', () => {
+    expect(symmetricCells([[0, 0]], 'D8', 1, 1)).toEqual([[0, 0]]);
+    // Edge center (between columns 0 and 1): quarter turns land between cells
+    expect(sorted(symmetricCells([[0, 0]], 'C4', 2, 1))).toEqual([[0, 0], [1, 0]]);
+  });
+
+  it('symmetricImages keeps each image separate', () => {
+    const { symmetricImages } = Lib;
+    expect(symmetricImages([[2, 1], [3, 1]], 'D2|', 1, 1)).toEqual([[[2, 1], [3, 1]], [[-2, 1], [-3, 1]]]);
+    expect(symmetricImages([[0, 0]], 'C4', 2, 1)).toEqual([[[0, 0]], [], [[1, 0]], []]);
+  });
+});
+
+describe('GIF encoding', () => {
+  const { encodeGIFHeader, encodeGIFFrame, encodeGIFTrailer, lzwEncode } = Lib;
+
+  // Reference GIF LZW decoder
+  function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const out = [];
+    let table, codeSize, prev;
+    const reset = () => {
+      table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+      codeSize = minCodeSize + 1;
+      prev = null;
+    };
+    reset();
+    let bits = 0, bitCount = 0;
+    for (let pos = 0; ;) {
+      while (bitCount < codeSize && pos < data.length) {
+        bits |= data[pos++] << bitCount;
+        bitCount += 8;
+      }
+      if (bitCount < codeSize) break;
+      const code = bits & ((1 << codeSize) - 1);
+      bits >>>= codeSize;
+      bitCount -= codeSize;
+      if (code === clearCode) { reset(); continue; }
+      if (code === clearCode + 1) break;
+      const entry = code < table.length ? table[code] : [...table[prev], table[prev][0]];
+      out.push(...entry);
+      if (prev !== null && table.length < 4096) table.push([...table[prev], entry[0]]);
+      if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+      prev = code;
+    }
+    return out;
+  }
+
+  it('round-trips LZW through a reference decoder', () => {
+    const rng = Lib.createRng('gif');
+    const inputs = [
+      new Uint8Array(0),
+      new Uint8Array([7]),
+      new Uint8Array(5000).fill(3),
+      Uint8Array.from({ length: 20000 }, () => Math.floor(rng() * 256)),
+      Uint8Array.from({ length: 20000 }, (_, i) => (i * 7 % 13) + (i % 300 < 150 ? 0 : 1)),
+    ];
+    for (const input of inputs) {
+      expect(lzwDecode(lzwEncode(input, 8), 8)).toEqual(Array.from(input));
+    }
+  });
+
+  it('writes a well-formed animated GIF', () => {
+    const header = encodeGIFHeader(3, 2, [[0, 0, 0], [255, 255, 255]]);
+    expect(String.fromCharCode(...header.subarray(0, 6))).toBe('GIF89a');
+    expect(header.length).toBe(13 + 768 + 19);
+
+    const indices = new Uint8Array([0, 1, 0, 1, 0, 1]);
+    const frame = encodeGIFFrame(indices, 3, 2, 10);
+    expect(Array.from(frame.subarray(0, 8))).toEqual([0x21, 0xF9, 0x04, 0x00, 10, 0, 0, 0]);
+    expect(frame[8]).toBe(0x2C);
+    expect(frame[frame.length - 1]).toBe(0);
+
+    // Reassemble the sub-blocks after the minimum code size byte
+    const data = [];
+    for (let pos = 19; frame[pos] !== 0; pos += frame[pos] + 1) {
+      data.push(...frame.subarray(pos + 1, pos + 1 + frame[pos]));
+    }
+    expect(lzwDecode(data, frame[18])).toEqual(Array.from(indices));
+    expect(Array.from(encodeGIFTrailer())).toEqual([0x3B]);
+  });
+});